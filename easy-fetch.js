@@ -17,20 +17,54 @@
  * @param {boolean} options.blockUI - Whether to block UI during the request.
  * @param {boolean} options.disableButton - Whether to disable the button during the request.
  * @param {string} options.buttonSelector - Selector for the submit button.
- * @param {string} options.dataType - Expected response data type.
+ * @param {string} options.dataType - Expected response data type: 'auto', 'json', 'text', 'html', 'xml', 'blob',
+ *   'arrayBuffer', 'formData' or 'stream'.
+ * @param {boolean|string} options.download - Whether to save Blob responses as a file, or the file name to use.
  * @param {boolean} options.showToastrMsg - Whether to show toastr messages.
  * @param {Object} options.toastrOptions - Options for toastr messages.
  * @param {boolean} options.showSwalMsg - Whether to show Swal messages.
  * @param {Object} options.swalOptions - Options for Swal messages.
+ * @param {string|Object} options.notifier - Notifier adapter used for toast messages (see easyAjax.notifiers).
+ * @param {string|Object} options.modalNotifier - Notifier adapter used for messages shown in a modal dialog.
  * @param {boolean} options.redirect - Whether to redirect after a successful response.
  * @param {Object|FormData|string} options.data - Data to be sent in the request.
  * @param {boolean} options.file - Whether the request includes file upload.
+ * @param {string} options.contentType - Body encoding for non-GET requests: 'json', 'urlencoded' or 'multipart'.
  * @param {boolean} options.formReset - Whether to reset the form on success.
+ * @param {boolean} options.serverActions - Whether to run the UI actions listed in response.actions.
+ * @param {boolean|Function} options.sanitize - Whether to sanitize HTML responses (see easyAjax.sanitizer), or a custom
+ *   sanitizer function.
  * @param {boolean} options.async - Whether the request is asynchronous.
- * @param {boolean} options.debug - Whether to enable debugging mode.
+ * @param {boolean} options.debug - Whether to log the request and its response to the console (see logRequest).
  * @param {number} options.timeout - Timeout for the request in milliseconds.
+ * @param {Object} options.headers - Additional request headers, merged over the defaults.
+ * @param {boolean|number|Object} options.retry - Retry policy for failed requests (see DEFAULT_RETRY_POLICY).
+ * @param {Function} options.onRetry - Called with (error, attempt, delay) before a failed attempt is retried.
+ * @param {boolean|Object} options.cache - Response cache for GET requests (see DEFAULT_CACHE_POLICY).
+ * @param {boolean} options.offline - Whether to queue mutating requests that fail while offline (see easyAjax.offline).
+ * @param {Function} options.onReplaySuccess - Called with the response data when a queued request is replayed.
+ * @param {Function} options.onReplayConflict - Called with the error when the server rejects a replayed request.
+ * @param {AbortSignal} options.signal - External signal that cancels the request when aborted.
+ * @param {string} options.dedupeKey - Key used to deduplicate requests while one of them is in flight.
+ * @param {string} options.dedupeMode - 'cancel' to abort the previous request, 'ignore' to drop the new one.
+ * @param {string|number} options.priority - Scheduling priority when concurrency is limited (see easyAjax.scheduler).
+ * @param {string|Function} options.transport - Transport adapter that sends the request (see easyAjax.transports).
+ * @param {Function} options.onUploadProgress - Called with { loaded, total, percent } as the request body is uploaded.
+ * @param {Function} options.onDownloadProgress - Called with { loaded, total, percent } as the response is downloaded.
+ * @param {boolean} options.progressBar - Whether to render a progress bar next to the submit button.
+ * @param {boolean|string} options.stream - Reads the body incrementally: 'text', 'ndjson', 'sse' or true to detect it.
+ *   The timeout then applies between chunks instead of to the whole request.
+ * @param {Function} options.onChunk - Called with each decoded chunk of text of a streamed response.
+ * @param {Function} options.onMessage - Called with each NDJSON value or { event, data, id, retry } server-sent event.
+ * @param {boolean} options.errorSummary - Whether to render a summary of validation messages at the top of the form.
+ * @param {boolean} options.focusInvalid - Whether to scroll to and focus the first invalid field.
  * @param {Function|null} options.customErrorHandler - Custom error handler function.
  * @param {Function|null} options.customSuccessHandler - Custom success handler function.
+ * @param {Function} options.success - Called with the parsed response data on success.
+ * @param {Function} options.error - Called with the structured error (see createAjaxError) on failure.
+ * @param {Function} options.complete - Called after the request finishes, whether it succeeded or failed.
+ * @returns {Promise<any>} A promise that resolves with the parsed response data, or rejects with a structured error.
+ *   The promise has an abort() method that cancels the request.
  */
 
 // Defines the main function for making AJAX requests with configurable options
@@ -42,7 +76,8 @@ function easyAjax(options) {
         blockUI: true, // Blocks UI to prevent user interaction during the request
         disableButton: true, // Disables the submit button to prevent multiple submissions
         buttonSelector: "[type='submit']", // Selector for the submit button in the form
-        dataType: "json", // Expected data type of the response from the server
+        dataType: 'auto', // Expected data type of the response: 'auto' picks it from the Content-Type header
+        download: false, // Saves Blob responses as a file: true uses the Content-Disposition file name, a string overrides it
         showToastrMsg: true, // Shows toastr messages for user feedback
         toastrOptions: { // Default options for toastr messages
             "closeButton": true,
@@ -63,58 +98,93 @@ function easyAjax(options) {
         },
         showSwalMsg: true, // Shows SweetAlert messages for alerts or confirmations
         swalOptions: {}, // Default options for SweetAlert
+        notifier: 'toastr', // Notifier adapter for toast messages: 'toastr', 'swal', 'bootstrap', 'alert', 'silent' or an adapter object
+        modalNotifier: 'swal', // Notifier adapter for messages the server asks to show in a modal dialog
         redirect: true, // Redirects to another URL on successful request completion
         data: {}, // Data to be sent in the request
         file: false, // Indicates if the request involves file uploads
+        contentType: null, // Body encoding: 'json', 'urlencoded' or 'multipart'; picked from the data when not set
         formReset: false, // Resets the form after successful submission
+        serverActions: true, // Runs the UI actions listed in the 'actions' key of a successful response
+        sanitize: true, // Sanitizes HTML responses with easyAjax.sanitizer, false to keep them as is, or a custom function
         async: true, // Makes the request asynchronous
-        debug: false, // Enables debug mode for logging
-        timeout: 5000, // Sets a timeout for the request
+        debug: false, // Logs every request to the console, with its headers, bodies and timing (sensitive fields redacted)
+        timeout: 5000, // Sets a timeout for each attempt of the request
+        retry: false, // Retry policy for failed requests, disabled by default
+        cache: false, // Response cache for GET requests, disabled by default (see DEFAULT_CACHE_POLICY)
+        offline: false, // Queues POST/PUT/PATCH/DELETE requests that fail while offline and replays them when back online
+        signal: null, // External AbortSignal that cancels the request when aborted
+        dedupeKey: null, // Requests sharing this key are deduplicated while one of them is in flight
+        dedupeMode: 'cancel', // 'cancel' aborts the previous request, 'ignore' keeps it and drops the new one
+        priority: 'normal', // Scheduling priority when concurrency is limited: 'high', 'normal', 'low' or a number
+        transport: 'auto', // Transport adapter: 'auto', 'fetch', 'xhr', 'mock' or an adapter function (see easyAjax.transports)
+        onUploadProgress: null, // Called with upload progress, switches the request to the XHR transport
+        onDownloadProgress: null, // Called with download progress, switches the request to the XHR transport
+        stream: false, // Reads the body incrementally: 'text', 'ndjson', 'sse', or true to detect it from the Content-Type
+        onChunk: null, // Called with each decoded chunk of a streamed response
+        onMessage: null, // Called with each NDJSON value or server-sent event of a streamed response
+        progressBar: false, // Renders a progress bar next to the submit button while the request is in progress
+        errorSummary: false, // Renders a summary of all validation messages at the top of the form
+        focusInvalid: true, // Scrolls to and focuses the first invalid field after a validation error
         customErrorHandler: null, // Allows for a custom error handling function
         customSuccessHandler: null // Allows for a custom success handling function
     };
 
-    // Merge default options with user-provided options to form the final settings for the AJAX request
-    const settings = Object.assign({}, defaults, options);
+    // Merge default options, global settings from easyAjax.setup() and user-provided options to form the final settings
+    const settings = mergeSettings(defaults, easyAjax.globalSettings, options);
 
     // Assigns a default beforeSend function if one is not provided in the settings.
     // This function is responsible for pre-request actions like disabling the submit button.
     settings.beforeSend = settings.beforeSend || defaultBeforeSend;
 
-    // Initialize an AbortController to manage request cancellation, providing a way to abort the request if needed
-    const abortController = new AbortController(); // Used to cancel the request
+    // Deduplicate requests sharing a key: either keep the one in flight or cancel it in favour of this one
+    const inFlight = settings.dedupeKey ? dedupedRequests.get(settings.dedupeKey) : null;
+    if (inFlight) {
+        if (settings.dedupeMode === 'ignore') {
+            return inFlight.promise;
+        }
+        inFlight.superseded = true; // The newer request now owns the button loading state
+        inFlight.abortController.abort();
+    }
+
+    // Initialize an AbortController that cancels the whole request, including pending retries
+    const control = { abortController: new AbortController(), superseded: false, promise: null };
+    const cancelRequest = () => control.abortController.abort();
+    if (settings.signal) {
+        if (settings.signal.aborted) {
+            cancelRequest();
+        } else {
+            settings.signal.addEventListener('abort', cancelRequest);
+        }
+    }
 
     // Clear existing validation errors in the form container before making a new request
     clearValidationErrors(settings.container);
 
-    // CSRF token setup for secure AJAX requests, particularly important in frameworks like Laravel
-    const csrfToken = document.querySelector('meta[name="csrf-token"]').getAttribute('content');
+    // CSRF token setup for secure AJAX requests, particularly important in frameworks like Laravel.
+    // Pages without the meta tag (e.g. outside Laravel or in tests) send the request without the token
+    const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+    const defaultHeaders = { 'X-Requested-With': 'XMLHttpRequest' }; // Necessary for Laravel to recognize the request as AJAX
+    if (csrfMeta) {
+        defaultHeaders['X-CSRF-TOKEN'] = csrfMeta.getAttribute('content');
+    }
 
     /// Setup request options for the Fetch API, including method, headers, and body
     let requestOptions = {
         method: settings.type, // The HTTP method type for the request (e.g., 'GET', 'POST')
-        headers: {
-            'X-CSRF-TOKEN': settings.headers && settings.headers['X-CSRF-TOKEN'] ? settings.headers['X-CSRF-TOKEN'] : csrfToken,
-            'X-Requested-With': 'XMLHttpRequest' // Necessary for Laravel to recognize the request as AJAX
-        },
-        body: null, // The request body, which will be set for methods that include data (like 'POST')
-        signal: abortController.signal // Provides a way to cancel the request using the AbortController
+        headers: Object.assign(defaultHeaders, settings.headers), // Header overrides from the global setup and the request options
+        body: null // The request body, which will be set for methods that include data (like 'POST')
     };
 
+    // The URL of the request, which receives the data as a query string for GET and HEAD requests
+    let requestUrl = settings.url;
+
     // Prepare the request body for methods that include data, setting the appropriate headers and body content
     if (settings.type.toUpperCase() !== 'GET' && settings.type.toUpperCase() !== 'HEAD') {
-        if (settings.file) {
-            // If the request involves file upload, use FormData to construct the request body
-            requestOptions.body = createFormData(settings);
-        } else if (typeof settings.data === 'string') {
-            // For URL-encoded data, set the content type header and use the string as the body
-            requestOptions.headers['Content-Type'] = 'application/x-www-form-urlencoded';
-            requestOptions.body = settings.data;
-        } else {
-            // For JSON data, set the content type header to 'application/json' and stringify the data object
-            requestOptions.headers['Content-Type'] = 'application/json';
-            requestOptions.body = JSON.stringify(settings.data);
-        }
+        requestOptions.body = serializeBody(settings, requestOptions.headers);
+    } else {
+        // GET and HEAD requests have no body, so the data is sent in the query string instead
+        requestUrl = appendQueryString(settings.url, serializeQuery(settings.data));
     }
 
     // If a beforeSend function is provided in the settings, call it with the settings as its argument
@@ -126,269 +196,3970 @@ function easyAjax(options) {
         defaultBeforeSend(settings);
     }
 
-    // Set a timeout to abort the request if it exceeds the specified time limit, preventing the request from hanging indefinitely
-    const timeoutId = setTimeout(() => abortController.abort(), settings.timeout);
+    // Render the progress bar and feed it with upload progress, or download progress for requests without a body
+    const progressBar = settings.progressBar ? createProgressBar(settings) : null;
+    if (progressBar) {
+        const progressKey = requestOptions.body !== null ? 'onUploadProgress' : 'onDownloadProgress';
+        const onProgress = settings[progressKey];
+        settings[progressKey] = progress => {
+            progressBar.update(progress);
+            if (typeof onProgress === 'function') onProgress(progress);
+        };
+    }
 
-    // Perform the fetch request with the prepared options
-    fetch(settings.url, requestOptions)
-        .then(response => {
-            if (!response.ok) {
-                // If the response status code indicates a failure (not in the range 200-299), throw an error
-                throw { response }; // Throws an object containing the response for further error handling
+    // The request as seen by request interceptors, which may rewrite the URL, headers or body
+    const request = {
+        url: requestUrl,
+        method: requestOptions.method,
+        headers: requestOptions.headers,
+        body: requestOptions.body,
+        settings
+    };
+
+    // Trace the request for the lifecycle events, the debug output and the monitors, starting with easyajax:before
+    const trace = startRequestTrace(request, settings);
+
+    // Run the request interceptors and perform the fetch request, through the cache for GET requests that opt in
+    // and retrying if the policy allows
+    const promise = runInterceptors(easyAjax.interceptors.request, request, settings)
+        .then(request => {
+            trace.request = request;
+
+            // Offline-enabled requests are not even attempted while the browser knows it is offline
+            if (settings.offline && isMutatingMethod(request.method) && navigator.onLine === false) {
+                throw createAjaxError('network', 'The browser is offline', { settings });
             }
-            return response; // Pass the successful response to the next .then() for further processing
+            return request;
         })
-        .then(validateResponse) // Validate the response and check for any server-side errors
-        .then(processContentType) // Determine the content type of the response and process accordingly (e.g., JSON, HTML)
+        .then(request => settings.cache && String(request.method).toUpperCase() === 'GET'
+            ? sendWithCache(request, settings, control.abortController.signal)
+            : sendWithRetry(request, settings, control.abortController.signal, 1))
+        .then(data => runInterceptors(easyAjax.interceptors.data, data, settings)) // Let data interceptors normalize the parsed body
         .then(data => processResponse(data, settings)) // Handle the processed response data based on the settings
-        .catch(error => handleError(error, settings)) // Catch and handle any errors that occurred during the request or processing stages
+        .then(data => {
+            reportRequest('success', settings, { data });
+            return data;
+        })
+        .catch(error => {
+            // Errors thrown by the caller's own callbacks are passed through untouched
+            if (!isAjaxError(error)) {
+                reportRequest('error', settings, { error });
+                throw error;
+            }
+
+            // Error interceptors may recover from the failure (e.g. refresh a token and repeat the request)
+            return runErrorInterceptors(error, settings).then(result => {
+                if (result.recovered) {
+                    return result.data;
+                }
+
+                // Offline-enabled mutating requests that could not reach the server are queued for replay
+                if (settings.offline && result.error.kind === 'network' && isMutatingMethod(requestOptions.method)) {
+                    return enqueueOfflineRequest({
+                        method: requestOptions.method.toUpperCase(),
+                        url: requestUrl,
+                        headers: stripCredentialHeaders(settings.headers),
+                        contentType: requestOptions.headers['Content-Type'] || null,
+                        body: requestOptions.body
+                    }, settings).then(entry => {
+                        result.error.queued = true;
+                        result.error.queueId = entry.id;
+                        return result;
+                    }, queueError => {
+                        console.error('easyAjax: Could not queue the offline request:', queueError);
+                        return result;
+                    });
+                }
+                return result;
+            }).then(result => {
+                if (result.recovered) {
+                    reportRequest('success', settings, { data: result.data, recovered: true });
+                    return result.data;
+                }
+
+                reportRequest(result.error.kind === 'abort' ? 'abort' : 'error', settings, { error: result.error });
+
+                // A request cancelled in favour of a newer one with the same dedupeKey is not a failure worth reporting
+                if (control.superseded && result.error.kind === 'abort') {
+                    result.error.superseded = true;
+                    throw result.error;
+                }
+
+                if (settings.customErrorHandler) {
+                    settings.customErrorHandler(result.error, settings);
+                } else {
+                    if (settings.error) {
+                        settings.error(result.error);
+                    }
+                    handleError(result.error, settings);
+                }
+
+                throw result.error; // Keep the returned promise rejected so awaiting callers can react to the failure
+            });
+        })
         .finally(() => {
-            clearTimeout(timeoutId); // Clear the timeout to prevent aborting the request after completion
-            if (settings.disableButton) {
+            if (settings.signal) {
+                settings.signal.removeEventListener('abort', cancelRequest);
+            }
+            if (settings.dedupeKey && dedupedRequests.get(settings.dedupeKey) === control) {
+                dedupedRequests.delete(settings.dedupeKey);
+            }
+            if (progressBar) {
+                progressBar.remove();
+            }
+            if (settings.disableButton && !control.superseded) {
                 // Re-enable the submit button if it was disabled before the request
                 toggleButtonLoading(settings.buttonSelector, false, settings);
             }
+            emitRequestEvent('complete', trace, settings);
             // Call the complete callback function if provided in the settings
             if (settings.complete) settings.complete();
         });
+
+    // Expose cancellation on the returned promise so callers can abort the request
+    promise.abort = cancelRequest;
+
+    control.promise = promise;
+    if (settings.dedupeKey) {
+        dedupedRequests.set(settings.dedupeKey, control);
+    }
+
+    // Return the promise so callers can await or chain on it
+    return promise;
 }
 
 /**
- * Toggles the loading state of a button.
- * @param {string|Element} selector - Selector or element for the button(s) to toggle.
- * @param {boolean} isLoading - Whether the button(s) should be in the loading state.
+ * Requests currently in flight, keyed by their dedupeKey.
+ * @type {Map<string, Object>}
+ */
+const dedupedRequests = new Map();
+
+/**
+ * Global settings applied to every easyAjax request, set through easyAjax.setup().
+ * @type {Object}
+ */
+easyAjax.globalSettings = {};
+
+/**
+ * Interceptors applied to every easyAjax request, in the order they were registered.
+ * - request: (request, settings) => request, where request is { url, method, headers, body, settings }.
+ * - response: (response, settings) => response, called with the raw Response before it is validated.
+ * - data: (data, settings) => data, called with the parsed body of successful responses before the success handlers,
+ *   e.g. to unwrap an API envelope.
+ * - error: (error, settings) => any, called with the structured error before it is handled.
+ *   Returning a value other than undefined recovers from the error and resolves the request with that value.
+ * Interceptors may return a promise. Returning undefined keeps the value unchanged.
+ */
+easyAjax.interceptors = {
+    request: createInterceptorRegistry(),
+    response: createInterceptorRegistry(),
+    data: createInterceptorRegistry(),
+    error: createInterceptorRegistry()
+};
+
+/**
+ * Monitors notified once every easyAjax request has finished, e.g. to forward timings and failures to a monitoring
+ * service. A monitor is called with a metric:
+ * { id, outcome: 'success' | 'error' | 'abort', method, url, status, duration, attempts, error: { kind, message } | null,
+ *   timestamp }. Errors thrown by monitors are logged and do not affect the request.
+ * @type {Object}
+ */
+easyAjax.monitors = createInterceptorRegistry();
+
+/**
+ * Names of the headers, body fields and query parameters whose values are redacted in the debug output. A field is
+ * redacted when its name contains one of these, ignoring case.
+ * @type {string[]}
+ */
+easyAjax.redactedFields = [
+    'password', 'token', 'secret', 'authorization', 'cookie', 'api_key', 'apikey', 'card_number', 'cvv', 'cvc', 'ssn'
+];
+
+/**
+ * Traces of the requests in flight, keyed by their settings object, which is unique to every request.
+ * @type {WeakMap<Object, Object>}
+ */
+const requestTraces = new WeakMap();
+let requestCount = 0;
+
+/**
+ * Starts the trace of a request, which the lifecycle events, the debug output and the monitors report on.
+ * @param {Object} request - The request: { url, method, headers, body }.
  * @param {Object} settings - Settings object from the easyAjax function.
+ * @returns {Object} The trace: { id, method, url, startedAt, request, attempts }.
  */
-function toggleButtonLoading(selector, isLoading, settings) {
-    if (!selector) {
-        console.warn('toggleButtonLoading: Selector is not provided');
-        return;
-    }
+function startRequestTrace(request, settings) {
+    const trace = {
+        id: `easy-ajax-${++requestCount}`,
+        method: String(request.method).toUpperCase(),
+        url: request.url,
+        startedAt: getTime(),
+        request, // Replaced by the request the interceptors returned, which holds the raw response once it arrives
+        attempts: 1
+    };
+    requestTraces.set(settings, trace);
+    emitRequestEvent('before', trace, settings);
+    return trace;
+}
 
-    let buttons;
+/**
+ * Returns a timestamp in milliseconds for measuring durations.
+ * @returns {number} The timestamp.
+ */
+function getTime() {
+    return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
 
-    if (selector instanceof Element) {
-        buttons = [selector];
-    } else if (settings && settings.container instanceof Element) {
-        buttons = settings.container.querySelectorAll(selector);
-    } else {
-        console.warn('toggleButtonLoading: Invalid or missing container in settings, and selector is not a valid element');
+/**
+ * Dispatches a lifecycle event of a request (easyajax:before, :success, :error, :complete, :retry or :abort) on
+ * the container of the request, or on the document. The events bubble, and their detail holds the request id,
+ * method, URL, status and duration in milliseconds, plus the data, error or retry delay where it applies.
+ * @param {string} type - The event type without the 'easyajax:' prefix.
+ * @param {Object} trace - The trace of the request.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {Object} [extra] - Additional event details.
+ * @returns {Object} The event detail.
+ */
+function emitRequestEvent(type, trace, settings, extra) {
+    const response = trace.request && trace.request.response;
+    const error = extra && extra.error;
+    const detail = Object.assign({
+        id: trace.id,
+        method: trace.method,
+        url: trace.request ? trace.request.url : trace.url,
+        status: response ? response.status : error && error.status ? error.status : null,
+        duration: Math.round(getTime() - trace.startedAt),
+        attempts: trace.attempts,
+        settings
+    }, extra);
+
+    const target = settings.container instanceof Element && settings.container.isConnected ? settings.container : document;
+    target.dispatchEvent(new CustomEvent(`easyajax:${type}`, { bubbles: true, detail }));
+    return detail;
+}
+
+/**
+ * Reports the outcome of a request: dispatches its event, writes the debug output and notifies the monitors.
+ * @param {string} outcome - 'success', 'error' or 'abort'.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {Object} extra - { data } on success, { error } otherwise.
+ */
+function reportRequest(outcome, settings, extra) {
+    const trace = requestTraces.get(settings);
+    if (!trace) {
         return;
     }
 
-    buttons.forEach(button => {
-        if (isLoading) {
-            button.setAttribute('data-kt-indicator', 'on');
-            button.disabled = true;
-        } else {
-            button.removeAttribute('data-kt-indicator');
-            button.disabled = false;
+    const detail = emitRequestEvent(outcome, trace, settings, extra);
+    if (settings.debug) {
+        logRequest(outcome, trace, detail);
+    }
+
+    const metric = {
+        id: detail.id,
+        outcome,
+        method: detail.method,
+        url: detail.url,
+        status: detail.status,
+        duration: detail.duration,
+        attempts: detail.attempts,
+        error: detail.error ? { kind: detail.error.kind || null, message: detail.error.message } : null,
+        timestamp: Date.now()
+    };
+    easyAjax.monitors.handlers.forEach(entry => {
+        try {
+            entry.handler(metric, settings);
+        } catch (error) {
+            console.error('easyAjax: A monitor failed:', error);
         }
     });
 }
 
 /**
- * Default function to be called before sending the request.
- * @param {Object} settings - Settings object from the easyAjax function.
+ * Writes the debug output of a finished request as a collapsed console group, with sensitive fields redacted.
+ * @param {string} outcome - 'success', 'error' or 'abort'.
+ * @param {Object} trace - The trace of the request.
+ * @param {Object} detail - The detail of the outcome event.
  */
-function defaultBeforeSend(settings) {
-    if (settings && settings.disableButton && settings.buttonSelector && settings.container) {
-        toggleButtonLoading(settings.buttonSelector, true, settings);
+function logRequest(outcome, trace, detail) {
+    const request = trace.request || {};
+    const response = request.response;
+    const status = detail.status !== null ? detail.status : outcome;
+
+    console.groupCollapsed(`easyAjax ${detail.id} ${detail.method} ${redactUrl(detail.url)} → ${status} (${detail.duration} ms)`);
+    console.log('Request headers:', redactFields(request.headers || {}));
+    if (request.body !== null && request.body !== undefined) {
+        console.log('Request body:', redactFields(readDebugBody(request.body)));
     }
+    if (response && response.headers) {
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            headers[name] = value;
+        });
+        console.log('Response headers:', redactFields(headers));
+    }
+    if (outcome === 'success') {
+        console.log('Response:', redactFields(detail.data));
+    } else {
+        if (detail.error && detail.error.data !== undefined && detail.error.data !== null) {
+            console.log('Response:', redactFields(detail.error.data));
+        }
+        // The error holds the settings (data, headers) of the request, so only its summary is logged
+        const error = detail.error || {};
+        console.log('Error:', {
+            name: error.name,
+            kind: error.kind,
+            status: error.status,
+            message: error.message,
+            cause: error.cause && error.cause.message ? error.cause.message : error.cause
+        });
+    }
+    if (detail.attempts > 1) {
+        console.log('Attempts:', detail.attempts);
+    }
+    console.groupEnd();
 }
 
 /**
- * Validates the response from the fetch request.
- * @param {Response} response - The Response object from the fetch request.
- * @returns {Response} A promise that resolves to the response or throws an error.
+ * Converts a request body into a value the debug output can show: JSON and form bodies become objects, and files
+ * are described by their name and size.
+ * @param {any} body - The request body.
+ * @returns {any} The readable body.
  */
-function validateResponse(response) {
-    if (!response.ok) {
-        return response.json().then(json => {
-            let error = new Error(`Network error: ${response.status}`);
-            error.responseJson = json; // Attach the JSON response to the error object
-            throw error;
+function readDebugBody(body) {
+    if (typeof body === 'string') {
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return body.includes('=') ? Object.fromEntries(new URLSearchParams(body)) : body;
+        }
+    }
+    if (body instanceof URLSearchParams) {
+        return Object.fromEntries(body);
+    }
+    if (body instanceof FormData) {
+        const fields = {};
+        body.forEach((value, name) => {
+            fields[name] = value instanceof Blob ? `[File ${value.name || 'blob'}, ${value.size} bytes]` : value;
         });
+        return fields;
     }
-    return response;
+    return body;
 }
 
 /**
- *  Processes the content type of the response and returns the appropriate data.
- *  @param {Response} response - The Response object from the fetch request.
- *  @returns {Promise<string>} A promise that resolves to the processed data.
+ * Returns a copy of a value with the fields listed in easyAjax.redactedFields replaced by '[redacted]'.
+ * @param {any} value - The value, e.g. the headers or the body of a request.
+ * @returns {any} The redacted copy.
  */
-async function processContentType(response) {
-    const contentType = response.headers.get("content-type");
-    if (contentType.includes("application/json")) {
-        return await response.json();
+function redactFields(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactFields);
     }
-    if (contentType.includes("text/html")) {
-        return await response.text();
+    if (Object.prototype.toString.call(value) !== '[object Object]') {
+        return value;
     }
-    throw new Error('Unsupported content type: ' + contentType);
+
+    const redacted = {};
+    Object.keys(value).forEach(key => {
+        redacted[key] = isRedactedField(key) ? '[redacted]' : redactFields(value[key]);
+    });
+    return redacted;
 }
 
 /**
- *  Processes the response data from the request.
- *  @param {any} data - The data returned from the request.
- *  @param {Object} settings - Settings object from the easyAjax function.
+ * Returns a URL with the values of the query parameters listed in easyAjax.redactedFields replaced by '[redacted]',
+ * e.g. /reset?token=abc becomes /reset?token=[redacted].
+ * @param {string} url - The URL.
+ * @returns {string} The redacted URL.
  */
-function processResponse(data, settings) {
-    if (data.status === 'fail') {
-        // Create a custom error object to pass to handleError
-        const error = {
-            response: {
-                status: 409, // You can use the 409 Conflict status or a custom status code
-                json: () => Promise.resolve(data) // Mimic the json() function of the Fetch API's Response object
-            }
-        };
-        handleError(error, settings);
-    } else {
-        // Handle the success case
-        if (settings.customSuccessHandler) {
-            settings.customSuccessHandler(data, settings);
-        } else {
-            if (settings.success) {
-                settings.success(data);
-            }
-            handleSuccess(data, settings);
-        }
+function redactUrl(url) {
+    const match = /^([^?#]*)\?([^#]*)(#.*)?$/.exec(String(url));
+    if (!match) {
+        return url;
     }
+
+    const query = match[2].split('&').map(pair => {
+        const index = pair.indexOf('=');
+        const key = index === -1 ? pair : pair.slice(0, index);
+        let name = key;
+        try {
+            name = decodeURIComponent(key.replace(/\+/g, ' '));
+        } catch (error) {
+            // Keep the raw name of malformed parameters
+        }
+        return index !== -1 && isRedactedField(name) ? `${key}=[redacted]` : pair;
+    });
+    return `${match[1]}?${query.join('&')}${match[3] || ''}`;
 }
 
 /**
- *  Handles errors that occur during the fetch operation.
- *  @param {Error} error - The error object.
- *  @param {Object} settings - Settings object from the easyAjax function.
+ * Checks whether a field, header or query parameter holds a value that must not be logged.
+ * @param {string} name - The name of the field.
+ * @returns {boolean} True if the name contains an entry of easyAjax.redactedFields.
  */
-function handleError(error, settings) {
-    if (error.response) {
-        error.response.json().then(errorJson => {
-            if (error.response.status === 422) {
-                // Handle validation errors
-                toastr.error(errorJson.message || 'Validation errors occurred.');
-                if (errorJson.errors) {
-                    Object.entries(errorJson.errors).forEach(([field, messages]) => {
-                        const inputElement = settings.container.querySelector(`[name="${field}"]`);
-                        if (inputElement) {
-                            displayValidationError(inputElement, messages[0]);
-                        }
-                    });
-                }
-            } else if (error.response.status === 409) {
-                // Handle conflict errors
-                // You can display a generic message or a specific message from the server if available
-                toastr.error(errorJson.message || 'A conflict occurred with your request.');
-            } else {
-                // Handle other HTTP errors
-                toastr.error('An unexpected error occurred.');
-            }
-        }).catch(jsonError => {
-            console.error('Error parsing JSON response:', jsonError);
-        });
-    } else {
-        // Handle non-HTTP errors (e.g., network issues)
-        toastr.error('A network error occurred. Please check your connection and try again.');
-    }
+function isRedactedField(name) {
+    const lowerName = name.toLowerCase();
+    return easyAjax.redactedFields.some(field => lowerName.includes(field));
 }
 
 /**
- *  Displays a validation error message below the specified input element.
- *  @param {Element} inputElement - The input element where the error occurred.
- *  @param {string} message - The validation error message to display.
+ * Sets global settings for all subsequent easyAjax requests.
+ * Nested options such as headers and toastrOptions are merged rather than replaced.
+ * @param {Object} options - Settings to apply to every request, using the same keys as easyAjax options.
+ * @returns {Object} The resulting global settings.
  */
-function displayValidationError(inputElement, message) {
-    if (!inputElement) return; // Guard clause in case the input element isn't found
+easyAjax.setup = function (options) {
+    easyAjax.globalSettings = mergeSettings(easyAjax.globalSettings, options);
+    return easyAjax.globalSettings;
+};
 
-    // Remove any existing error message first
-    const existingError = inputElement.parentNode.querySelector('.invalid-feedback');
-    if (existingError) existingError.remove();
+/**
+ * Settings holding objects that are merged key by key instead of being replaced as a whole.
+ * @type {string[]}
+ */
+const MERGED_SETTINGS = ['headers', 'toastrOptions', 'swalOptions'];
 
-    // Add Bootstrap 'is-invalid' class to the input element
-    inputElement.classList.add('is-invalid');
+/**
+ * Merges settings objects from left to right, merging nested objects listed in MERGED_SETTINGS.
+ * @param {...Object} sources - The settings objects to merge; later objects take precedence.
+ * @returns {Object} The merged settings.
+ */
+function mergeSettings(...sources) {
+    const settings = Object.assign({}, ...sources);
+    MERGED_SETTINGS.forEach(key => {
+        const nested = sources.filter(source => source && source[key]).map(source => source[key]);
+        if (nested.length) {
+            settings[key] = Object.assign({}, ...nested);
+        }
+    });
+    return settings;
+}
 
-    // Create the error message element
-    const errorDiv = document.createElement('div');
-    errorDiv.classList.add('invalid-feedback');
-    errorDiv.innerText = message; // Set the error message text
+/**
+ * Creates a registry holding interceptor functions for one stage of the request.
+ * @returns {Object} The registry, with use(), eject() and clear() methods and a handlers array.
+ */
+function createInterceptorRegistry() {
+    let nextId = 0;
+    return {
+        handlers: [],
+        /**
+         * Registers an interceptor.
+         * @param {Function} handler - The interceptor function.
+         * @returns {number} An id that can be passed to eject() to remove the interceptor.
+         */
+        use(handler) {
+            const id = nextId++;
+            this.handlers.push({ id, handler });
+            return id;
+        },
+        /**
+         * Removes a previously registered interceptor.
+         * @param {number} id - The id returned by use().
+         */
+        eject(id) {
+            this.handlers = this.handlers.filter(entry => entry.id !== id);
+        },
+        /**
+         * Removes all interceptors from the registry.
+         */
+        clear() {
+            this.handlers = [];
+        }
+    };
+}
 
-    // Insert the error message element into the DOM
-    inputElement.parentNode.appendChild(errorDiv);
+/**
+ * Passes a value through the interceptors of a registry in order.
+ * @param {Object} registry - The interceptor registry.
+ * @param {any} value - The initial value.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @returns {Promise<any>} A promise that resolves to the value returned by the last interceptor.
+ */
+function runInterceptors(registry, value, settings) {
+    return registry.handlers.reduce((promise, entry) => promise.then(current => {
+        return Promise.resolve(entry.handler(current, settings)).then(result => result === undefined ? current : result);
+    }), Promise.resolve(value));
 }
 
-function clearValidationErrors(container) {
-    container.querySelectorAll('.invalid-feedback').forEach(element => element.remove());
-    container.querySelectorAll('.is-invalid').forEach(element => element.classList.remove('is-invalid'));
+/**
+ * Passes a structured error through the error interceptors until one of them recovers from it.
+ * @param {Error} error - The structured error created by createAjaxError.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @returns {Promise<Object>} A promise resolving to { recovered: true, data } or { recovered: false, error }.
+ */
+function runErrorInterceptors(error, settings) {
+    return easyAjax.interceptors.error.handlers.reduce((promise, entry) => promise.then(result => {
+        if (result.recovered) {
+            return result;
+        }
+        return Promise.resolve().then(() => entry.handler(result.error, settings)).then(
+            data => data === undefined ? result : { recovered: true, data },
+            thrown => ({ recovered: false, error: isAjaxError(thrown) ? thrown : wrapInterceptorError(thrown, result.error) })
+        );
+    }), Promise.resolve({ recovered: false, error }));
 }
 
 /**
- * Handles successful responses from the fetch operation.
- * @param {any} response - The response data.
+ * Wraps an error thrown by an error interceptor that is not a structured error, so that it replaces the error the
+ * interceptor received instead of being lost. The kind, status and data of the original error are kept.
+ * @param {any} thrown - The error thrown by the interceptor.
+ * @param {Error} original - The structured error the interceptor received.
+ * @returns {Error} The new structured error, with the thrown error as its cause.
+ */
+function wrapInterceptorError(thrown, original) {
+    const error = createAjaxError(original.kind, thrown && thrown.message ? thrown.message : String(thrown), {
+        status: original.status,
+        data: original.data,
+        settings: original.settings,
+        response: original.response,
+        cause: thrown
+    });
+    error.previous = original;
+    return error;
+}
+
+/**
+ * Performs a single attempt of a request once the request scheduler has a free slot for it.
+ * @param {Object} request - The request after the request interceptors ran: { url, method, headers, body }.
  * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {AbortSignal} signal - Signal that cancels the whole request.
+ * @returns {Promise<any>} A promise that resolves to the parsed response body, or rejects with a structured error.
  */
-function handleSuccess(response, settings) {
-    // Clear existing validation errors
-    if (settings.container) {
-        settings.container.querySelectorAll('.invalid-feedback').forEach(el => el.remove());
-        settings.container.querySelectorAll('.is-invalid').forEach(input => input.classList.remove('is-invalid'));
-    }
+function sendAttempt(request, settings, signal) {
+    // The timeout only starts once the scheduler lets the attempt through, so queued requests do not time out
+    return easyAjax.scheduler.acquire(request.url, settings.priority, signal)
+        .catch(error => {
+            // Cancelling the request while it waits is an abort; anything else (e.g. an invalid URL) is reported
+            // like fetch reports it, as a network error
+            throw toAjaxError(error, 'network', settings, { timedOut: false });
+        })
+        .then(release => performAttempt(request, settings, signal).finally(release));
+}
 
-    if (settings.redirect && response.url) {
-        window.location.href = response.url;
-    }
+/**
+ * Performs a single attempt of a request, with its own AbortController and timeout.
+ * @param {Object} request - The request after the request interceptors ran: { url, method, headers, body }.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {AbortSignal} signal - Signal that cancels the whole request.
+ * @returns {Promise<any>} A promise that resolves to the parsed response body, or rejects with a structured error.
+ */
+function performAttempt(request, settings, signal) {
+    // Initialize an AbortController to manage request cancellation, providing a way to abort the attempt if needed
+    const abortController = new AbortController();
 
-    if (settings.formReset) {
-        settings.container.querySelector('form').reset();
+    // Abort the attempt when the whole request is cancelled
+    const cancelAttempt = () => abortController.abort();
+    if (signal.aborted) {
+        cancelAttempt();
+    } else {
+        signal.addEventListener('abort', cancelAttempt);
     }
 
-    if (settings.showToastrMsg && response.message) {
-        toastr.success(response.message);
-    }
+    // Tracks whether the attempt was aborted by the timeout, so the error can be reported as a timeout
+    const requestState = { timedOut: false };
+
+    // Set a timeout to abort the attempt if it exceeds the specified time limit, preventing the request from hanging indefinitely.
+    // Streamed responses re-arm it on every chunk, so it becomes an idle timeout between chunks
+    let timeoutId = null;
+    const armTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+            requestState.timedOut = true;
+            abortController.abort();
+        }, settings.timeout);
+    };
+    armTimeout();
+
+    const requestInit = {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: abortController.signal // Provides a way to cancel the attempt using the AbortController
+    };
+
+    // Send the attempt through the transport adapter (fetch, XMLHttpRequest or the mock, see easyAjax.transports)
+    return Promise.resolve()
+        .then(() => resolveTransport(settings)(request.url, requestInit, settings))
+        .catch(error => {
+            // Fetch only rejects when the request never produced a response (network failure, timeout or abort)
+            throw toAjaxError(error, 'network', settings, requestState);
+        })
+        .then(response => runInterceptors(easyAjax.interceptors.response, response, settings)) // Let response interceptors inspect or replace the raw response
+        .then(response => {
+            request.response = response; // Keep the raw response so the cache can read its validators
+            return validateResponse(response, settings); // Reject non-2xx responses with a structured error carrying the parsed body
+        })
+        .then(response => {
+            // Determine the content type of the response and process accordingly (e.g., JSON, HTML), or read it
+            // chunk by chunk for streamed requests
+            const reading = settings.stream ? readStream(response, settings, armTimeout) : processContentType(response, settings);
+            return reading.catch(error => {
+                throw toAjaxError(error, 'parse', settings, requestState);
+            });
+        })
+        .finally(() => {
+            clearTimeout(timeoutId); // Clear the timeout to prevent aborting the attempt after completion
+            signal.removeEventListener('abort', cancelAttempt);
+        });
 }
 
 /**
- *  Handles failed responses from the fetch operation.
- *  @param {any} response - The response data.
- *  @param {Object} settings - Settings object from the easyAjax function.
- *  @param {string} messageType - The type of message to display (e.g., 'error').
+ * Numeric values of the named request priorities. Higher priorities are sent first.
+ * @type {Object<string, number>}
  */
-function handleFailure(response, settings, messageType) {
-    if (settings.showToastrMsg && response.message) {
-        toastr.error(response.message);
-    }
-    if (settings.showSwalMsg && window.Swal) {
-        const swalOptions = Object.assign({}, settings.swalOptions, {
-            text: response.message,
-            icon: messageType
+const REQUEST_PRIORITIES = { high: 10, normal: 0, low: -10 };
+
+/**
+ * Creates the request scheduler, which limits how many requests run at once, globally and per host, and
+ * sends queued requests in priority order (and in the order they were made within a priority).
+ * @returns {Object} The scheduler, with configure(), acquire() and stats() methods.
+ */
+function createRequestScheduler() {
+    const limits = { maxConcurrent: Infinity, maxPerHost: Infinity };
+    const waiting = [];
+    const activePerHost = new Map();
+    let active = 0;
+    let sequence = 0;
+
+    const canStart = host => active < limits.maxConcurrent && (activePerHost.get(host) || 0) < limits.maxPerHost;
+
+    const start = entry => {
+        active++;
+        activePerHost.set(entry.host, (activePerHost.get(entry.host) || 0) + 1);
+        let released = false;
+        entry.resolve(() => {
+            // Releasing twice would free a slot that belongs to another request
+            if (released) return;
+            released = true;
+            active--;
+            activePerHost.set(entry.host, activePerHost.get(entry.host) - 1);
+            pump();
         });
+    };
 
-        window.Swal.fire(swalOptions);
-    }
+    const pump = () => {
+        waiting.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+        for (let i = 0; i < waiting.length;) {
+            if (canStart(waiting[i].host)) {
+                const [entry] = waiting.splice(i, 1);
+                entry.cleanup();
+                start(entry);
+            } else {
+                i++;
+            }
+        }
+    };
+
+    return {
+        /**
+         * Changes the concurrency limits.
+         * @param {Object} options - { maxConcurrent, maxPerHost }, where Infinity means unlimited.
+         */
+        configure(options) {
+            Object.assign(limits, options);
+            pump();
+        },
+        /**
+         * Waits for a free slot for a request.
+         * @param {string} url - The URL of the request, used to apply the per-host limit.
+         * @param {string|number} [priority] - 'high', 'normal', 'low' or a number; higher goes first.
+         * @param {AbortSignal} [signal] - Signal that removes the request from the queue when aborted.
+         * @returns {Promise<Function>} A promise resolving to a function that releases the slot, or rejecting with
+         *   an AbortError if the signal is aborted while waiting.
+         */
+        acquire(url, priority, signal) {
+            return new Promise((resolve, reject) => {
+                const entry = {
+                    host: new URL(url, window.location.href).host,
+                    priority: typeof priority === 'number' ? priority : REQUEST_PRIORITIES[priority] || 0,
+                    sequence: sequence++,
+                    resolve,
+                    cleanup: () => {}
+                };
+
+                if (signal && signal.aborted) {
+                    reject(new DOMException('The request was aborted.', 'AbortError'));
+                    return;
+                }
+                if (!waiting.length && canStart(entry.host)) {
+                    start(entry);
+                    return;
+                }
+
+                if (signal) {
+                    const cancelWait = () => {
+                        waiting.splice(waiting.indexOf(entry), 1);
+                        reject(new DOMException('The request was aborted.', 'AbortError'));
+                    };
+                    signal.addEventListener('abort', cancelWait);
+                    entry.cleanup = () => signal.removeEventListener('abort', cancelWait);
+                }
+                waiting.push(entry);
+                pump();
+            });
+        },
+        /**
+         * Reports how many requests are running and waiting.
+         * @returns {Object} { active, waiting }.
+         */
+        stats() {
+            return { active, waiting: waiting.length };
+        }
+    };
 }
 
 /**
- *  Sanitizes HTML content to prevent XSS attacks.
- *  @param {string} html - The HTML content to sanitize.
- *  @returns {string} The sanitized HTML.
+ * The request scheduler shared by all easyAjax requests. Unlimited until configured, e.g.
+ * easyAjax.scheduler.configure({ maxConcurrent: 6, maxPerHost: 4 }).
+ * @type {Object}
+ */
+easyAjax.scheduler = createRequestScheduler();
+
+/**
+ * Runs a list of requests through easyAjax and reports their aggregate progress.
+ * Errors thrown by the callbacks are logged to the console. A request with its own signal can be cancelled alone.
+ * @param {Object[]} requests - The easyAjax options of each request.
+ * @param {Object} [options] - Options for the batch.
+ * @param {number} [options.concurrency] - How many requests of the batch run at once, defaults to all of them
+ *   (the scheduler limits still apply).
+ * @param {Function} [options.onProgress] - Called with { completed, total, succeeded, failed, percent } after each request.
+ * @param {Function} [options.onItemComplete] - Called with (result, index) after each request.
+ * @returns {Promise<Object[]>} A promise resolving to one result per request, in order: { status: 'fulfilled', value }
+ *   or { status: 'rejected', error }. It never rejects, and has an abort() method that cancels the remaining requests.
+ */
+easyAjax.batch = function (requests, options) {
+    const batchOptions = Object.assign({ concurrency: Infinity, onProgress: null, onItemComplete: null }, options);
+    const abortController = new AbortController();
+    const results = new Array(requests.length);
+    const progress = { completed: 0, total: requests.length, succeeded: 0, failed: 0, percent: requests.length ? 0 : 100 };
+    let next = 0;
+
+    const runNext = () => {
+        if (next >= requests.length) {
+            return Promise.resolve();
+        }
+        const index = next++;
+
+        // The request is cancelled by the batch and by its own signal, if it has one
+        const itemController = new AbortController();
+        const cancelItem = () => itemController.abort();
+        const signals = [abortController.signal, requests[index].signal].filter(Boolean);
+        signals.forEach(signal => signal.aborted ? cancelItem() : signal.addEventListener('abort', cancelItem));
+        const requestOptions = Object.assign({}, requests[index], { signal: itemController.signal });
+
+        return easyAjax(requestOptions)
+            .then(value => ({ status: 'fulfilled', value }), error => ({ status: 'rejected', error }))
+            .then(result => {
+                signals.forEach(signal => signal.removeEventListener('abort', cancelItem));
+                results[index] = result;
+                progress.completed++;
+                progress[result.status === 'fulfilled' ? 'succeeded' : 'failed']++;
+                progress.percent = Math.round((progress.completed / progress.total) * 100);
+                runBatchCallback(batchOptions.onItemComplete, result, index);
+                runBatchCallback(batchOptions.onProgress, Object.assign({}, progress));
+                return runNext();
+            });
+    };
+
+    const workers = Math.max(1, Math.min(batchOptions.concurrency, requests.length));
+    const promise = Promise.all(Array.from({ length: workers }, runNext)).then(() => results);
+    promise.abort = () => abortController.abort();
+    return promise;
+};
+
+/**
+ * Calls a progress callback of easyAjax.batch. A failing callback is reported without stopping the batch.
+ * @param {Function|null} callback - The callback, if any.
+ * @param {...any} args - The arguments of the callback.
  */
-function sanitizeHTML(html) {
-    return html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, "");
+function runBatchCallback(callback, ...args) {
+    if (typeof callback !== 'function') return;
+    try {
+        callback(...args);
+    } catch (error) {
+        console.error('easyAjax: A batch callback failed:', error);
+    }
 }
 
 /**
- *  Creates FormData from the settings for file uploads.
- *  @param {Object} settings - Settings object from the easyAjax function.
- *  @returns {FormData} The FormData object for the request.
+ * Repeats a request until a predicate on the response matches, e.g. to follow a long-running export job.
+ * The options are easyAjax options for the polled request, plus:
+ * - until(data): returns true when polling should stop; by default it stops at the first response.
+ * - interval: delay before the next request in milliseconds (default 2000).
+ * - backoff: multiplier applied to the interval after each request (default 1.5).
+ * - maxInterval: upper bound for the interval (default 30000).
+ * - maxDuration: rejects with a 'timeout' error once polling has taken this long (default 10 minutes).
+ * - pauseWhenHidden: waits for the tab to be visible again before the next request (default true).
+ * - onProgress(data, { attempt, elapsed }): called with every response that does not stop polling.
+ * Only the final response runs the success handling (success callback, message and redirect). The button set by
+ * container/buttonSelector stays in its loading state until polling ends.
+ * @param {Object} options - The options.
+ * @returns {Promise<any>} A promise resolving to the final response data, with an abort() method that stops polling.
  */
-function createFormData(settings) {
-    const form = settings.container.querySelector('form');
-    if (!form) {
-        throw new Error('Form not found in the specified container.');
+easyAjax.poll = function (options) {
+    const pollOptions = Object.assign({
+        until: () => true,
+        interval: 2000,
+        backoff: 1.5,
+        maxInterval: 30000,
+        maxDuration: 600000,
+        pauseWhenHidden: true,
+        onProgress: null
+    }, options);
+    const abortController = new AbortController();
+    const startedAt = Date.now();
+    const toggleSettings = { container: pollOptions.container };
+    const manageButton = pollOptions.disableButton !== false
+        && (pollOptions.container instanceof Element || pollOptions.buttonSelector instanceof Element);
+    let pollSettings = null;
+
+    const stopPolling = () => abortController.abort();
+    if (options.signal) {
+        if (options.signal.aborted) {
+            stopPolling();
+        } else {
+            options.signal.addEventListener('abort', stopPolling);
+        }
     }
-    const formData = new FormData(form);
-    Object.keys(settings.data).forEach(key => {
-        formData.append(key, settings.data[key]);
+    if (manageButton) {
+        toggleButtonLoading(pollOptions.buttonSelector || "[type='submit']", true, toggleSettings);
+    }
+
+    // Only the final response runs the success handling, intermediate responses are captured quietly
+    const requestOptions = Object.assign({}, options, {
+        disableButton: false,
+        signal: abortController.signal,
+        customSuccessHandler: (data, settings) => {
+            pollSettings = settings;
+        },
+        complete: null
+    });
+
+    const pollOnce = (attempt, interval) => easyAjax(requestOptions).then(data => {
+        if (pollOptions.until(data)) {
+            return data;
+        }
+
+        const elapsed = Date.now() - startedAt;
+        if (typeof pollOptions.onProgress === 'function') {
+            pollOptions.onProgress(data, { attempt, elapsed });
+        }
+        if (elapsed + interval > pollOptions.maxDuration) {
+            // Reported here because easyAjax only reports the failures of the individual requests
+            const error = createAjaxError('timeout', `Polling stopped after ${pollOptions.maxDuration}ms`, { data, settings: pollSettings });
+            if (options.error) {
+                options.error(error);
+            }
+            handleError(error, pollSettings);
+            throw error;
+        }
+
+        return waitForPoll(interval, pollOptions.pauseWhenHidden, abortController.signal, pollSettings)
+            .then(() => pollOnce(attempt + 1, Math.min(pollOptions.maxInterval, interval * pollOptions.backoff)));
+    });
+
+    const promise = pollOnce(1, pollOptions.interval)
+        .then(data => {
+            if (options.customSuccessHandler) {
+                options.customSuccessHandler(data, pollSettings);
+            } else {
+                if (options.success) {
+                    options.success(data);
+                }
+                handleSuccess(data, pollSettings);
+            }
+            return data;
+        })
+        .finally(() => {
+            if (options.signal) {
+                options.signal.removeEventListener('abort', stopPolling);
+            }
+            if (manageButton) {
+                toggleButtonLoading(pollOptions.buttonSelector || "[type='submit']", false, toggleSettings);
+            }
+            if (options.complete) options.complete();
+        });
+
+    promise.abort = stopPolling;
+    return promise;
+};
+
+/**
+ * Waits between two polled requests, and until the tab is visible again if requested.
+ * @param {number} delay - The delay in milliseconds.
+ * @param {boolean} pauseWhenHidden - Whether to wait for the tab to be visible before resolving.
+ * @param {AbortSignal} signal - Signal that stops polling.
+ * @param {Object} settings - Settings object of the last polled request.
+ * @returns {Promise<void>} A promise that resolves when the next request can be made, or rejects with an 'abort' error.
+ */
+function waitForPoll(delay, pauseWhenHidden, signal, settings) {
+    return waitForRetry(delay, settings, signal).then(() => {
+        if (!pauseWhenHidden || !document.hidden) {
+            return;
+        }
+        return new Promise((resolve, reject) => {
+            const onVisible = () => {
+                if (!document.hidden) {
+                    cleanup();
+                    resolve();
+                }
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(createAjaxError('abort', 'Request was aborted', { settings }));
+            };
+            const cleanup = () => {
+                document.removeEventListener('visibilitychange', onVisible);
+                signal.removeEventListener('abort', onAbort);
+            };
+            document.addEventListener('visibilitychange', onVisible);
+            signal.addEventListener('abort', onAbort);
+        });
+    });
+}
+
+/**
+ * Performs a request through XMLHttpRequest, reporting upload and download progress.
+ * Mirrors the fetch() signature and resolves with a Response so the rest of the pipeline is unchanged.
+ * @param {string} url - The URL of the request.
+ * @param {Object} init - The fetch options: method, headers, body and signal.
+ * @param {Object} settings - Settings object from the easyAjax function, holding the progress callbacks.
+ * @returns {Promise<Response>} A promise that resolves to the response, or rejects like fetch() does.
+ */
+function xhrFetch(url, init, settings) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(init.method || 'GET', url, true);
+        xhr.responseType = 'blob'; // Keep the raw body so processContentType can parse it like a fetch response
+        Object.entries(init.headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        if (typeof settings.onUploadProgress === 'function' && xhr.upload) {
+            xhr.upload.addEventListener('progress', event => settings.onUploadProgress(toProgress(event)));
+        }
+        if (typeof settings.onDownloadProgress === 'function') {
+            xhr.addEventListener('progress', event => settings.onDownloadProgress(toProgress(event)));
+        }
+
+        xhr.addEventListener('load', () => {
+            // Statuses without a body cannot be given one when constructing a Response
+            const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+            resolve(new Response(body, {
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: parseXhrHeaders(xhr.getAllResponseHeaders())
+            }));
+        });
+        xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+        xhr.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')));
+
+        if (init.signal) {
+            if (init.signal.aborted) {
+                reject(new DOMException('The request was aborted.', 'AbortError'));
+                return;
+            }
+            init.signal.addEventListener('abort', () => xhr.abort());
+        }
+
+        xhr.send(init.body);
+    });
+}
+
+/**
+ * Converts the raw headers string of an XMLHttpRequest into a Headers object.
+ * @param {string} rawHeaders - The value returned by getAllResponseHeaders().
+ * @returns {Headers} The parsed headers.
+ */
+function parseXhrHeaders(rawHeaders) {
+    const headers = new Headers();
+    rawHeaders.trim().split(/[\r\n]+/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+        }
+    });
+    return headers;
+}
+
+/**
+ * Converts a ProgressEvent into the progress object passed to the progress callbacks.
+ * @param {ProgressEvent} event - The progress event from XMLHttpRequest.
+ * @returns {Object} The progress: { loaded, total, percent }, where percent is null if the total size is unknown.
+ */
+function toProgress(event) {
+    return {
+        loaded: event.loaded,
+        total: event.lengthComputable ? event.total : null,
+        percent: event.lengthComputable && event.total > 0 ? Math.round((event.loaded / event.total) * 100) : null
+    };
+}
+
+/**
+ * Transport adapters that send the requests of easyAjax. An adapter has the fetch() signature plus the settings:
+ * (url, init, settings) => Promise<Response>, where init holds method, headers, body and signal. Custom adapters
+ * can be added to this object and selected with the transport option.
+ * @type {Object<string, Function>}
+ */
+easyAjax.transports = {
+    // The Fetch API, the default
+    fetch: (url, init) => window.fetch(url, init),
+    // XMLHttpRequest, which reports upload and download progress
+    xhr: xhrFetch,
+    // The mock adapter of easyAjax.mock, for tests without a server
+    mock: (url, init, settings) => easyAjax.mock.handle(url, init, settings)
+};
+
+/**
+ * Resolves the transport setting into an adapter. 'auto' uses XMLHttpRequest when progress is requested, since only
+ * it reports progress, and fetch otherwise. Streamed requests read the body incrementally, which only fetch can.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @returns {Function} The transport adapter.
+ */
+function resolveTransport(settings) {
+    const transport = settings.transport || 'auto';
+    if (typeof transport === 'function') {
+        return transport;
+    }
+    if (transport === 'auto') {
+        const useXhr = !settings.stream
+            && (typeof settings.onUploadProgress === 'function' || typeof settings.onDownloadProgress === 'function');
+        return easyAjax.transports[useXhr ? 'xhr' : 'fetch'];
+    }
+    if (typeof easyAjax.transports[transport] !== 'function') {
+        console.warn('easyAjax: Unknown transport, falling back to fetch:', transport);
+        return easyAjax.transports.fetch;
+    }
+    return easyAjax.transports[transport];
+}
+
+/**
+ * Sends a request through the transport selected by easyAjax.setup() or the options, without the rest of the
+ * easyAjax pipeline. ajaxModal loads its content through it, so the mock adapter covers modals as well.
+ * @param {string} url - The URL of the request.
+ * @param {Object} [init] - The fetch options: method, headers, body and signal.
+ * @param {Object} [options] - Settings for the transport, e.g. { transport: 'mock' }.
+ * @returns {Promise<Response>} A promise that resolves to the response, or rejects like fetch() does.
+ */
+easyAjax.fetch = function (url, init, options) {
+    const settings = Object.assign({ transport: 'auto' }, easyAjax.globalSettings, options);
+    return resolveTransport(settings)(url, init || {}, settings);
+};
+
+/**
+ * Keys of a mock response definition. An object with other keys is used as the JSON body of the response.
+ * @type {string[]}
+ */
+const MOCK_RESPONSE_KEYS = ['status', 'statusText', 'headers', 'body', 'json', 'html', 'delay', 'timeout', 'networkError'];
+
+/**
+ * Creates the mock transport, which answers requests from routes registered by method and URL instead of a server,
+ * and logs every request for assertions. A route's response is a definition, a Response, or a function called with
+ * the logged request that returns either (or a promise of one). A definition has:
+ * - status and statusText: the status of the response (default 200).
+ * - json, html or body: the body; objects in body are sent as JSON.
+ * - headers: the response headers.
+ * - delay: milliseconds to wait before answering.
+ * - timeout: true never answers, so the request runs into its timeout.
+ * - networkError: true (or a message) fails like fetch does when the server cannot be reached.
+ * @returns {Object} The mock transport.
+ */
+function createMockTransport() {
+    const routes = [];
+    const requests = [];
+
+    /**
+     * Checks whether a route URL matches a request URL. Strings without a query string match any query string,
+     * and '*' in a string matches any characters. RegExps and functions receive the absolute URL.
+     * @param {string|RegExp|Function} pattern - The URL of the route.
+     * @param {string} url - The absolute URL of the request.
+     * @returns {boolean} Whether the route matches.
+     */
+    function matchesUrl(pattern, url) {
+        if (typeof pattern === 'function') {
+            return Boolean(pattern(url));
+        }
+        if (pattern instanceof RegExp) {
+            return pattern.test(url);
+        }
+
+        const requestUrl = new URL(url);
+        if (pattern.includes('*')) {
+            const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+            const regex = new RegExp(`^${escaped}$`);
+            return regex.test(url) || regex.test(requestUrl.pathname + requestUrl.search) || regex.test(requestUrl.pathname);
+        }
+
+        const routeUrl = new URL(pattern, window.location.href);
+        return routeUrl.origin === requestUrl.origin && routeUrl.pathname === requestUrl.pathname
+            && (!routeUrl.search || routeUrl.search === requestUrl.search);
+    }
+
+    /**
+     * Parses a request body for assertions: JSON strings into values, form bodies into plain objects.
+     * @param {any} body - The body of the request.
+     * @returns {any} The parsed body.
+     */
+    function parseBody(body) {
+        if (typeof body === 'string') {
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                return Object.fromEntries(new URLSearchParams(body));
+            }
+        }
+        if (body instanceof URLSearchParams || body instanceof FormData) {
+            return Object.fromEntries(body);
+        }
+        return body;
+    }
+
+    /**
+     * Waits before answering, rejecting like fetch does when the request is aborted in the meantime.
+     * @param {number} delay - Milliseconds to wait, or Infinity to wait until the request is aborted.
+     * @param {AbortSignal} [signal] - The signal of the request.
+     * @returns {Promise<void>} A promise that resolves after the delay.
+     */
+    function wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            let timeoutId = null;
+            const abort = () => {
+                clearTimeout(timeoutId);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            if (signal && signal.aborted) {
+                abort();
+                return;
+            }
+            if (delay !== Infinity) {
+                timeoutId = setTimeout(resolve, delay);
+            }
+            if (signal) {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Builds the Response of a mock response definition.
+     * @param {Object} definition - The response definition.
+     * @returns {Response} The response.
+     */
+    function toResponse(definition) {
+        const headers = toHeaderObject(definition.headers);
+        const status = definition.status || 200;
+        let body = null;
+        let contentType = null;
+
+        if (definition.json !== undefined) {
+            body = JSON.stringify(definition.json);
+            contentType = 'application/json';
+        } else if (definition.html !== undefined) {
+            body = definition.html;
+            contentType = 'text/html; charset=utf-8';
+        } else if (definition.body !== undefined && definition.body !== null) {
+            const raw = typeof definition.body === 'string' || definition.body instanceof Blob
+                || definition.body instanceof FormData || definition.body instanceof ArrayBuffer;
+            body = raw ? definition.body : JSON.stringify(definition.body);
+            contentType = raw ? null : 'application/json';
+        }
+
+        if (contentType && !headers['content-type']) {
+            headers['content-type'] = contentType;
+        }
+        // Statuses without a body cannot be given one when constructing a Response
+        const init = { status, statusText: definition.statusText || '', headers };
+        const responseBody = [204, 205, 304].includes(status) ? null : body;
+
+        // jsdom and older test environments have no Response, which a minimal response-like object stands in for
+        return typeof Response === 'function' && typeof Headers === 'function'
+            ? new Response(responseBody, init)
+            : createResponseLike(responseBody, init);
+    }
+
+    /**
+     * Converts headers given as a Headers object or a plain object into a plain object with lower-cased names.
+     * @param {Headers|Object} [headers] - The headers.
+     * @returns {Object} The headers.
+     */
+    function toHeaderObject(headers) {
+        const result = {};
+        if (Array.isArray(headers)) {
+            headers.forEach(([name, value]) => {
+                result[name.toLowerCase()] = String(value);
+            });
+        } else if (headers && typeof headers.forEach === 'function') {
+            headers.forEach((value, name) => {
+                result[name.toLowerCase()] = String(value);
+            });
+        } else {
+            Object.keys(headers || {}).forEach(name => {
+                result[name.toLowerCase()] = String(headers[name]);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Creates an object with the parts of the Response API easyAjax and ajaxModal read, for environments without
+     * Response. Its body cannot be streamed, so streamed requests read it as a whole.
+     * @param {string|Blob|FormData|ArrayBuffer|null} body - The body.
+     * @param {Object} init - { status, statusText, headers }, with the headers as a plain object.
+     * @returns {Object} The response-like object.
+     */
+    function createResponseLike(body, init) {
+        const headerValues = init.headers;
+        const getHeader = name => {
+            const value = headerValues[String(name).toLowerCase()];
+            return value === undefined ? null : value;
+        };
+        const readBlob = (blob, method) => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader[method](blob);
+        });
+        const toBlob = () => body instanceof Blob
+            ? body
+            : new Blob(body === null ? [] : [body], { type: headerValues['content-type'] || '' });
+
+        return {
+            ok: init.status >= 200 && init.status < 300,
+            status: init.status,
+            statusText: init.statusText,
+            url: '',
+            redirected: false,
+            body: null,
+            headers: {
+                get: getHeader,
+                has: name => getHeader(name) !== null,
+                forEach: callback => Object.keys(headerValues).forEach(name => callback(headerValues[name], name))
+            },
+            text: () => typeof body === 'string' || body === null
+                ? Promise.resolve(body || '')
+                : readBlob(toBlob(), 'readAsText'),
+            json() {
+                return this.text().then(text => JSON.parse(text));
+            },
+            blob: () => Promise.resolve(toBlob()),
+            arrayBuffer: () => body instanceof ArrayBuffer
+                ? Promise.resolve(body)
+                : readBlob(toBlob(), 'readAsArrayBuffer'),
+            formData: () => body instanceof FormData
+                ? Promise.resolve(body)
+                : Promise.reject(new TypeError('easyAjax.mock: The body is not FormData')),
+            clone: () => createResponseLike(body, init)
+        };
+    }
+
+    /**
+     * Checks whether a value is a mock response definition rather than a JSON body.
+     * @param {Object} value - The value of the route.
+     * @returns {boolean} Whether the value is a definition.
+     */
+    function isDefinition(value) {
+        return Object.keys(value).every(key => MOCK_RESPONSE_KEYS.includes(key))
+            && (value.status === undefined || typeof value.status === 'number');
+    }
+
+    const mock = {
+        /**
+         * The logged requests, oldest first: { method, url, headers, body, data, settings, time }, where headers
+         * have lowercase names and data is the parsed body.
+         * @type {Object[]}
+         */
+        requests,
+        /**
+         * Registers a route. The first route that matches a request answers it.
+         * @param {string} method - The HTTP method, or '*' for any method.
+         * @param {string|RegExp|Function} url - The URL (see matchesUrl).
+         * @param {Object|Response|Function} response - The response (see createMockTransport).
+         * @param {Object} [options] - { times }: how many requests the route answers, unlimited by default.
+         * @returns {Object} The mock, for chaining.
+         */
+        on(method, url, response, options) {
+            routes.push({
+                method: method.toUpperCase(),
+                url,
+                response,
+                remaining: options && options.times ? options.times : Infinity
+            });
+            return mock;
+        },
+        get: (url, response, options) => mock.on('GET', url, response, options),
+        post: (url, response, options) => mock.on('POST', url, response, options),
+        put: (url, response, options) => mock.on('PUT', url, response, options),
+        patch: (url, response, options) => mock.on('PATCH', url, response, options),
+        delete: (url, response, options) => mock.on('DELETE', url, response, options),
+        /**
+         * Answers a request from the registered routes. This is the adapter behind the 'mock' transport.
+         * Requests without a matching route fail like a network error, naming the request.
+         * @param {string} url - The URL of the request.
+         * @param {Object} init - The fetch options: method, headers, body and signal.
+         * @param {Object} [settings] - Settings object from the easyAjax function.
+         * @returns {Promise<Response>} A promise that resolves to the response.
+         */
+        handle(url, init, settings) {
+            const headers = toHeaderObject(init.headers);
+            const request = {
+                method: (init.method || 'GET').toUpperCase(),
+                url: new URL(url, window.location.href).href,
+                headers,
+                body: init.body === undefined ? null : init.body,
+                data: parseBody(init.body),
+                settings: settings || null,
+                time: Date.now()
+            };
+            requests.push(request);
+
+            const route = routes.find(item => item.remaining > 0
+                && (item.method === '*' || item.method === request.method) && matchesUrl(item.url, request.url));
+            if (!route) {
+                return Promise.reject(new TypeError(`easyAjax.mock: No route matches ${request.method} ${request.url}`));
+            }
+            route.remaining--;
+
+            return Promise.resolve(typeof route.response === 'function' ? route.response(request) : route.response)
+                .then(response => {
+                    // A Response, or a response-like object in environments without Response
+                    if (response && typeof response === 'object' && typeof response.text === 'function'
+                        && typeof response.clone === 'function') {
+                        return response.clone();
+                    }
+
+                    const definition = response && typeof response === 'object' && isDefinition(response)
+                        ? response
+                        : { body: response === undefined ? null : response };
+                    if (definition.timeout) {
+                        return wait(Infinity, init.signal);
+                    }
+                    return wait(definition.delay || 0, init.signal).then(() => {
+                        if (definition.networkError) {
+                            throw new TypeError(typeof definition.networkError === 'string' ? definition.networkError : 'Failed to fetch');
+                        }
+                        return toResponse(definition);
+                    });
+                });
+        },
+        /**
+         * Returns the logged requests that match a method and URL, e.g. to assert that a form was submitted once.
+         * @param {string} [method] - The HTTP method, or '*' for any method.
+         * @param {string|RegExp|Function} [url] - The URL (see matchesUrl), or any URL if not set.
+         * @returns {Object[]} The matching requests.
+         */
+        findRequests(method, url) {
+            return requests.filter(request => (!method || method === '*' || method.toUpperCase() === request.method)
+                && (!url || matchesUrl(url, request.url)));
+        },
+        /**
+         * Returns the most recent logged request.
+         * @returns {Object|null} The request, or null if none was made.
+         */
+        lastRequest() {
+            return requests.length ? requests[requests.length - 1] : null;
+        },
+        /**
+         * Removes all routes and logged requests, e.g. between two tests.
+         */
+        reset() {
+            routes.length = 0;
+            requests.length = 0;
+        }
+    };
+    return mock;
+}
+
+/**
+ * The mock transport, selected with easyAjax.setup({ transport: 'mock' }), e.g.
+ * easyAjax.mock.post('/orders', { status: 422, json: { errors: { name: ['Required'] } } }).
+ * @type {Object}
+ */
+easyAjax.mock = createMockTransport();
+
+/**
+ * Performs a request, repeating it according to the retry policy in settings.retry.
+ * @param {Object} request - The request after the request interceptors ran: { url, method, headers, body }.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {AbortSignal} signal - Signal that cancels the whole request, including pending retries.
+ * @param {number} attempt - The number of the current attempt, starting at 1.
+ * @returns {Promise<any>} A promise that resolves to the parsed response body of the first successful attempt.
+ */
+function sendWithRetry(request, settings, signal, attempt) {
+    return sendAttempt(request, settings, signal).catch(error => {
+        if (!isAjaxError(error)) {
+            throw error;
+        }
+
+        error.attempts = attempt; // Record how many attempts were made before giving up
+        const policy = getRetryPolicy(settings.retry);
+        // Streamed requests are not retried, their chunks may already have been passed to onChunk and onMessage
+        const delay = settings.stream ? null : getRetryDelay(error, request, policy, attempt);
+        if (delay === null) {
+            throw error;
+        }
+
+        if (typeof settings.onRetry === 'function') {
+            settings.onRetry(error, attempt, delay);
+        }
+
+        const trace = requestTraces.get(settings);
+        if (trace) {
+            trace.attempts = attempt + 1;
+            emitRequestEvent('retry', trace, settings, { error, attempt, delay });
+            if (settings.debug) {
+                console.warn(`easyAjax ${trace.id}: Attempt ${attempt} failed (${error.kind}), retrying in ${delay} ms`);
+            }
+        }
+
+        return waitForRetry(delay, settings, signal)
+            .then(() => sendWithRetry(request, settings, signal, attempt + 1));
+    });
+}
+
+/**
+ * Waits before the next attempt, stopping early if the request is cancelled in the meantime.
+ * @param {number} delay - The delay in milliseconds.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {AbortSignal} signal - Signal that cancels the whole request.
+ * @returns {Promise<void>} A promise that resolves after the delay, or rejects with an 'abort' error.
+ */
+function waitForRetry(delay, settings, signal) {
+    return new Promise((resolve, reject) => {
+        const cancelWait = () => {
+            clearTimeout(timeoutId);
+            reject(createAjaxError('abort', 'Request was aborted', { settings }));
+        };
+        const timeoutId = setTimeout(() => {
+            signal.removeEventListener('abort', cancelWait);
+            resolve();
+        }, delay);
+        if (signal.aborted) {
+            cancelWait();
+        } else {
+            signal.addEventListener('abort', cancelWait);
+        }
+    });
+}
+
+/**
+ * Default cache policy used when settings.cache is true or an object.
+ * @type {Object}
+ */
+const DEFAULT_CACHE_POLICY = {
+    ttl: 60000, // How long a cached response is fresh, in milliseconds
+    key: null, // Cache key, derived from the URL including the query string when not set
+    vary: ['Authorization'], // Request headers whose values are part of the derived key, e.g. a tenant header
+    storage: 'memory', // 'memory' for the current page only, 'session' to share it through sessionStorage
+    staleWhileRevalidate: false // Calls success with stale data first, then again with fresh data
+};
+
+/**
+ * Performs a GET request through the response cache.
+ * Fresh entries are returned without a request. Stale entries are revalidated with If-None-Match when the server
+ * sent an ETag, and with staleWhileRevalidate the success handlers first receive the stale data.
+ * @param {Object} request - The request after the request interceptors ran: { url, method, headers, body }.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {AbortSignal} signal - Signal that cancels the whole request.
+ * @returns {Promise<any>} A promise that resolves to the cached or fresh response body.
+ */
+function sendWithCache(request, settings, signal) {
+    const policy = Object.assign({}, DEFAULT_CACHE_POLICY, settings.cache === true ? {} : settings.cache);
+    const store = easyAjax.cache.stores[policy.storage] || easyAjax.cache.stores.memory;
+    const key = policy.key || getCacheKey(request.url, getVaryValues(request.headers, policy.vary));
+    const entry = store.get(key);
+
+    if (entry && entry.expires > Date.now()) {
+        return Promise.resolve(entry.data);
+    }
+
+    // The stale data goes through the data interceptors and the success handlers, but the side effects (message,
+    // redirect, actions) only run once, for the fresh data
+    const staleHandled = entry && policy.staleWhileRevalidate
+        ? runInterceptors(easyAjax.interceptors.data, entry.data, settings)
+            .then(data => processResponse(data, settings, { stale: true }))
+        : Promise.resolve();
+
+    // Ask the server to answer 304 Not Modified if the cached data is still current
+    if (entry && entry.etag) {
+        request.headers = Object.assign({}, request.headers, { 'If-None-Match': entry.etag });
+    }
+
+    return staleHandled
+        .then(() => sendWithRetry(request, settings, signal, 1))
+        .then(data => {
+            // Only JSON-like data and text can be cached, Blobs, streams and Documents are read once. Failures reported
+            // in a successful response ({ status: 'fail' }) are rejected by processResponse, so they are not cached
+            const cacheable = data === null || typeof data !== 'object' || Array.isArray(data)
+                || (Object.prototype.toString.call(data) === '[object Object]' && data.status !== 'fail');
+            if (cacheable) {
+                store.set(key, {
+                    url: getCacheKey(request.url),
+                    data,
+                    etag: request.response ? request.response.headers.get('etag') : null,
+                    expires: Date.now() + policy.ttl
+                });
+            }
+            return data;
+        })
+        .catch(error => {
+            if (entry && isAjaxError(error) && error.status === 304) {
+                store.set(key, Object.assign({}, entry, { expires: Date.now() + policy.ttl }));
+                return entry.data;
+            }
+            throw error;
+        });
+}
+
+/**
+ * Derives the cache key of a request from its URL, including the query string, and the values of the headers
+ * the response varies on.
+ * @param {string} url - The URL of the request.
+ * @param {string} [vary] - The values of the vary headers, as returned by getVaryValues.
+ * @returns {string} The absolute URL, followed by a hash of the header values if there are any.
+ */
+function getCacheKey(url, vary) {
+    const absoluteUrl = new URL(url, window.location.href).href;
+    return vary ? `${absoluteUrl}#vary-${hashString(vary)}` : absoluteUrl;
+}
+
+/**
+ * Reads the values of the headers a cached response varies on, matching header names case-insensitively.
+ * @param {Object} headers - The request headers.
+ * @param {string[]} names - The names of the vary headers.
+ * @returns {string} The values joined together, or an empty string when none of the headers is set.
+ */
+function getVaryValues(headers, names) {
+    const values = (names || []).map(name => {
+        const header = Object.keys(headers || {}).find(key => key.toLowerCase() === String(name).toLowerCase());
+        return header && headers[header] != null ? `${name.toLowerCase()}=${headers[header]}` : '';
+    }).filter(Boolean);
+    return values.join('\n');
+}
+
+/**
+ * Hashes a string, so header values such as tokens do not end up readable in cache keys or sessionStorage.
+ * @param {string} value - The string to hash.
+ * @returns {string} The hash, in base 36.
+ */
+function hashString(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Copies cached data, so callers that change the data they receive do not change the cache.
+ * @param {any} data - JSON-like data or text.
+ * @returns {any} A deep copy of the data.
+ */
+function cloneCacheData(data) {
+    if (data === null || typeof data !== 'object') {
+        return data;
+    }
+    return typeof structuredClone === 'function' ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Creates a cache store keeping entries in memory for the lifetime of the page.
+ * The data is copied in and out of the store, as the session store does by serializing it.
+ * @returns {Object} The store, with get(), set(), delete() and keys() methods.
+ */
+function createMemoryCacheStore() {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            return entry ? Object.assign({}, entry, { data: cloneCacheData(entry.data) }) : null;
+        },
+        set: (key, entry) => entries.set(key, Object.assign({}, entry, { data: cloneCacheData(entry.data) })),
+        delete: key => entries.delete(key),
+        keys: () => Array.from(entries.keys())
+    };
+}
+
+/**
+ * Creates a cache store keeping entries in sessionStorage, so they survive page loads within the tab.
+ * Entries that cannot be serialized or do not fit in the storage quota are silently not cached.
+ * @returns {Object} The store, with get(), set(), delete() and keys() methods.
+ */
+function createSessionCacheStore() {
+    const prefix = 'easyAjax:cache:';
+    return {
+        get(key) {
+            try {
+                const value = window.sessionStorage.getItem(prefix + key);
+                return value ? JSON.parse(value) : null;
+            } catch (error) {
+                return null;
+            }
+        },
+        set(key, entry) {
+            try {
+                window.sessionStorage.setItem(prefix + key, JSON.stringify(entry));
+            } catch (error) {
+                // Storage is full, disabled or the data cannot be serialized
+            }
+        },
+        delete(key) {
+            try {
+                window.sessionStorage.removeItem(prefix + key);
+            } catch (error) {
+                // Storage is disabled
+            }
+        },
+        keys() {
+            try {
+                return Object.keys(window.sessionStorage)
+                    .filter(name => name.startsWith(prefix))
+                    .map(name => name.slice(prefix.length));
+            } catch (error) {
+                return [];
+            }
+        }
+    };
+}
+
+/**
+ * The response cache used by GET requests with the cache option.
+ * @type {Object}
+ */
+easyAjax.cache = {
+    stores: {
+        memory: createMemoryCacheStore(),
+        session: createSessionCacheStore()
+    },
+    /**
+     * Removes a cached response from every store.
+     * @param {string} key - The cache key, or the URL of the request, which removes it for every vary header value.
+     */
+    invalidate(key) {
+        const url = getCacheKey(key);
+        Object.values(this.stores).forEach(store => store.keys().forEach(candidate => {
+            const entry = candidate === key || candidate === url ? null : store.get(candidate);
+            if (!entry || entry.url === url) {
+                store.delete(candidate);
+            }
+        }));
+    },
+    /**
+     * Removes every cached response whose URL starts with a prefix, e.g. '/api/lookups'.
+     * @param {string} prefix - The URL prefix, relative or absolute.
+     */
+    invalidatePrefix(prefix) {
+        const absolutePrefix = getCacheKey(prefix);
+        Object.values(this.stores).forEach(store => store.keys().forEach(key => {
+            const entry = store.get(key);
+            const url = entry && entry.url ? entry.url : key;
+            if (key.startsWith(prefix) || url.startsWith(absolutePrefix)) {
+                store.delete(key);
+            }
+        }));
+    },
+    /**
+     * Removes every cached response from every store.
+     */
+    clear() {
+        Object.values(this.stores).forEach(store => store.keys().forEach(key => store.delete(key)));
+    }
+};
+
+/**
+ * Checks whether an HTTP method changes data on the server.
+ * @param {string} method - The HTTP method.
+ * @returns {boolean} True for POST, PUT, PATCH and DELETE.
+ */
+function isMutatingMethod(method) {
+    return ['POST', 'PUT', 'PATCH', 'DELETE'].includes(String(method).toUpperCase());
+}
+
+/**
+ * Callbacks of queued requests made on this page, keyed by queue entry id. Callbacks cannot be persisted, so
+ * requests replayed after a page load only report through the easyajax:queue-* events.
+ * @type {Map<number, Object>}
+ */
+const offlineCallbacks = new Map();
+
+/**
+ * Persistent storage for the offline queue: IndexedDB when available, localStorage otherwise.
+ * Entries are plain objects with an 'id' that increases with the order they were queued in.
+ * @returns {Object} The store, with all(), add(entry), delete(id) and clear() methods returning promises.
+ */
+function createOfflineQueueStore() {
+    const storageKey = 'easyAjax:offlineQueue';
+
+    if (typeof indexedDB === 'undefined') {
+        const read = () => {
+            try {
+                return JSON.parse(window.localStorage.getItem(storageKey)) || [];
+            } catch (error) {
+                return [];
+            }
+        };
+        const write = entries => window.localStorage.setItem(storageKey, JSON.stringify(entries));
+        return {
+            all: () => Promise.resolve(read()),
+            add(entry) {
+                const entries = read();
+                const id = entries.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+                write(entries.concat(Object.assign({}, entry, { id })));
+                return Promise.resolve(id);
+            },
+            delete(id) {
+                write(read().filter(item => item.id !== id));
+                return Promise.resolve();
+            },
+            clear() {
+                write([]);
+                return Promise.resolve();
+            }
+        };
+    }
+
+    let database = null;
+    const open = () => {
+        database = database || new Promise((resolve, reject) => {
+            const openRequest = indexedDB.open('easyAjax', 1);
+            openRequest.onupgradeneeded = () => openRequest.result.createObjectStore('offlineQueue', { keyPath: 'id', autoIncrement: true });
+            openRequest.onsuccess = () => resolve(openRequest.result);
+            openRequest.onerror = () => reject(openRequest.error);
+        });
+        return database;
+    };
+    const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction('offlineQueue', mode);
+        const request = operation(transaction.objectStore('offlineQueue'));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+
+    return {
+        all: () => run('readonly', store => store.getAll()),
+        add: entry => run('readwrite', store => store.add(entry)),
+        delete: id => run('readwrite', store => store.delete(id)),
+        clear: () => run('readwrite', store => store.clear())
+    };
+}
+
+/**
+ * Converts a request body into a form that can be stored in the offline queue. Files are kept as data URLs so
+ * the same entry works in IndexedDB and localStorage.
+ * @param {FormData|string|null} body - The request body.
+ * @returns {Promise<Object>} A promise resolving to { kind: 'multipart', entries } or { kind: 'text', value }.
+ */
+function serializeOfflineBody(body) {
+    if (!(body instanceof FormData)) {
+        return Promise.resolve({ kind: 'text', value: body });
+    }
+    return Promise.all(Array.from(body.entries()).map(([key, value]) => {
+        if (!(value instanceof Blob)) {
+            return [key, value];
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve([key, { dataUrl: reader.result, name: value.name || 'blob', type: value.type }]);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(value);
+        });
+    })).then(entries => ({ kind: 'multipart', entries }));
+}
+
+/**
+ * Rebuilds the FormData of a queued multipart request, turning data URLs back into Files.
+ * @param {Array<Array>} entries - The [key, value] pairs created by serializeOfflineBody.
+ * @returns {FormData} The FormData object.
+ */
+function deserializeOfflineFormData(entries) {
+    const formData = new FormData();
+    entries.forEach(([key, value]) => {
+        if (value && typeof value === 'object' && value.dataUrl) {
+            const binary = atob(value.dataUrl.split(',')[1] || '');
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            formData.append(key, new File([bytes], value.name, { type: value.type }));
+        } else {
+            formData.append(key, value);
+        }
+    });
+    return formData;
+}
+
+/**
+ * Removes the headers that carry credentials (those listed in easyAjax.redactedFields, e.g. Authorization) before a
+ * request is stored in the offline queue. The setup headers and the request interceptors add them again when the
+ * request is replayed.
+ * @param {Object} [headers] - The headers of the request.
+ * @returns {Object} The headers that can be stored.
+ */
+function stripCredentialHeaders(headers) {
+    const stored = {};
+    Object.keys(headers || {}).forEach(name => {
+        if (!isRedactedField(name)) {
+            stored[name] = headers[name];
+        }
+    });
+    return stored;
+}
+
+/**
+ * Stores a request in the offline queue.
+ * @param {Object} request - The request: { method, url, headers, contentType, body }.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @returns {Promise<Object>} A promise that resolves to the stored entry.
+ */
+function enqueueOfflineRequest(request, settings) {
+    return serializeOfflineBody(request.body).then(body => {
+        const entry = Object.assign({}, request, { body, queuedAt: new Date().toISOString() });
+        return easyAjax.offline.store.add(entry).then(id => {
+            entry.id = id;
+            if (settings.onReplaySuccess || settings.onReplayConflict) {
+                offlineCallbacks.set(id, { success: settings.onReplaySuccess, conflict: settings.onReplayConflict });
+            }
+            dispatchOfflineEvent('queued', { entry });
+            return updateOfflineCount().then(() => entry);
+        });
+    });
+}
+
+/**
+ * Dispatches an offline queue event on the document, e.g. easyajax:queue-change.
+ * @param {string} name - The event name, without the 'easyajax:queue-' prefix.
+ * @param {Object} detail - The event detail.
+ */
+function dispatchOfflineEvent(name, detail) {
+    document.dispatchEvent(new CustomEvent(`easyajax:queue-${name}`, { detail }));
+}
+
+/**
+ * Recounts the queued requests, remembers the count for the next page load and reports it.
+ * @returns {Promise<number>} A promise that resolves to the number of pending requests.
+ */
+function updateOfflineCount() {
+    return easyAjax.offline.store.all().then(entries => {
+        easyAjax.offline.pending = entries.length;
+        try {
+            window.localStorage.setItem('easyAjax:offlinePending', String(entries.length));
+        } catch (error) {
+            // Storage is disabled, the queue is then only replayed when the 'online' event fires
+        }
+        dispatchOfflineEvent('change', { pending: entries.length });
+        return entries.length;
+    });
+}
+
+/**
+ * Sends one queued request again. Requests the server rejects with a 4xx status are conflicts and are removed
+ * from the queue; network errors, timeouts and 5xx statuses keep the request queued for the next replay.
+ * @param {Object} entry - The queued request.
+ * @returns {Promise<boolean>} A promise that resolves to true if the replay should stop.
+ */
+function replayOfflineEntry(entry) {
+    const callbacks = offlineCallbacks.get(entry.id) || {};
+    const isJson = /json/i.test(entry.contentType || '');
+    const data = entry.body.kind === 'multipart'
+        ? deserializeOfflineFormData(entry.body.entries)
+        : (isJson && entry.body.value ? JSON.parse(entry.body.value) : entry.body.value);
+
+    return easyAjax({
+        type: entry.method,
+        url: entry.url,
+        headers: entry.headers,
+        data: data === null ? {} : data,
+        contentType: isJson ? 'json' : null,
+        container: document.createElement('div'), // Replays have no form to show errors in
+        disableButton: false,
+        redirect: false,
+        serverActions: false,
+        notifier: 'silent',
+        offline: false
+    }).then(response => {
+        offlineCallbacks.delete(entry.id);
+        if (typeof callbacks.success === 'function') callbacks.success(response, entry);
+        dispatchOfflineEvent('success', { entry, data: response });
+        return easyAjax.offline.store.delete(entry.id).then(() => false);
+    }, error => {
+        if (!isAjaxError(error) || error.kind === 'network' || error.kind === 'timeout' || error.status >= 500) {
+            return true;
+        }
+        offlineCallbacks.delete(entry.id);
+        if (typeof callbacks.conflict === 'function') callbacks.conflict(error, entry);
+        dispatchOfflineEvent('conflict', { entry, error });
+        return easyAjax.offline.store.delete(entry.id).then(() => false);
+    });
+}
+
+/**
+ * The offline queue used by requests with the offline option. It reports through events on the document:
+ * - easyajax:queue-queued: a request was queued ({ entry }).
+ * - easyajax:queue-change: the number of pending requests changed ({ pending }).
+ * - easyajax:queue-success: a queued request was replayed ({ entry, data }).
+ * - easyajax:queue-conflict: the server rejected a replayed request, which was dropped ({ entry, error }).
+ * @type {Object}
+ */
+easyAjax.offline = {
+    store: createOfflineQueueStore(),
+    pending: 0,
+    replaying: null,
+    /**
+     * Lists the queued requests, oldest first.
+     * @returns {Promise<Object[]>} A promise that resolves to the queued entries.
+     */
+    entries() {
+        return this.store.all();
+    },
+    /**
+     * Replays the queued requests in order, stopping at the first one that still cannot reach the server.
+     * @returns {Promise<number>} A promise that resolves to the number of requests left in the queue.
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.store.all()
+                .then(entries => entries.reduce((chain, entry) => chain.then(stop => stop || replayOfflineEntry(entry)), Promise.resolve(false)))
+                .then(() => updateOfflineCount())
+                .finally(() => {
+                    this.replaying = null;
+                });
+        }
+        return this.replaying;
+    },
+    /**
+     * Removes every queued request without sending it.
+     * @returns {Promise<number>} A promise that resolves to 0.
+     */
+    clear() {
+        offlineCallbacks.clear();
+        return this.store.clear().then(() => updateOfflineCount());
+    }
+};
+
+window.addEventListener('online', () => easyAjax.offline.replay());
+
+// Replay requests left over from a previous page once the page has loaded, if any were pending
+(function replayPendingOnLoad() {
+    let pending = 0;
+    try {
+        pending = parseInt(window.localStorage.getItem('easyAjax:offlinePending'), 10) || 0;
+    } catch (error) {
+        return;
+    }
+    if (!pending) return;
+
+    const replay = () => {
+        if (navigator.onLine !== false) easyAjax.offline.replay();
+    };
+    if (document.readyState === 'complete') {
+        setTimeout(replay, 0);
+    } else {
+        window.addEventListener('load', replay);
+    }
+})();
+
+/**
+ * Default retry policy used when settings.retry is true or an object.
+ * @type {Object}
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3, // Total number of attempts, including the first one
+    baseDelay: 300, // Delay before the first retry in milliseconds
+    maxDelay: 10000, // Upper bound for the exponential backoff delay
+    factor: 2, // Multiplier applied to the delay after each attempt
+    jitter: true, // Randomises the delay between 0 and the computed backoff to spread out retries
+    statuses: [429, 502, 503, 504], // HTTP statuses that are retried
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], // Only idempotent methods are retried by default
+    retryOnNetworkError: true, // Retries when no response was received
+    retryOnTimeout: true, // Retries when an attempt timed out
+    maxRetryAfter: 60000 // Gives up instead of waiting when the server asks for a longer Retry-After
+};
+
+/**
+ * Normalizes the retry setting into a retry policy.
+ * @param {boolean|number|Object} retry - false to disable retries, a number of attempts, true or a policy object.
+ * @returns {Object|null} The retry policy, or null if retries are disabled.
+ */
+function getRetryPolicy(retry) {
+    if (!retry) {
+        return null;
+    }
+    if (typeof retry === 'number') {
+        return Object.assign({}, DEFAULT_RETRY_POLICY, { maxAttempts: retry });
+    }
+    return Object.assign({}, DEFAULT_RETRY_POLICY, retry === true ? {} : retry);
+}
+
+/**
+ * Calculates how long to wait before retrying a failed attempt.
+ * @param {Error} error - The structured error of the failed attempt.
+ * @param {Object} request - The request that failed.
+ * @param {Object|null} policy - The retry policy.
+ * @param {number} attempt - The number of the failed attempt, starting at 1.
+ * @returns {number|null} The delay in milliseconds, or null if the request should not be retried.
+ */
+function getRetryDelay(error, request, policy, attempt) {
+    if (!policy || attempt >= policy.maxAttempts) {
+        return null;
+    }
+    if (!policy.methods.includes(String(request.method).toUpperCase())) {
+        return null;
+    }
+
+    const retryable = (error.kind === 'network' && policy.retryOnNetworkError)
+        || (error.kind === 'timeout' && policy.retryOnTimeout)
+        || (error.kind === 'http' && policy.statuses.includes(error.status));
+    if (!retryable) {
+        return null;
+    }
+
+    // Honour the Retry-After header sent with 429 and 503 responses
+    const retryAfter = parseRetryAfter(error.response);
+    if (retryAfter !== null) {
+        return retryAfter <= policy.maxRetryAfter ? retryAfter : null;
+    }
+
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+    return policy.jitter ? Math.round(Math.random() * backoff) : backoff;
+}
+
+/**
+ * Reads the Retry-After header of a response, which holds either a number of seconds or an HTTP date.
+ * @param {Response|null} response - The Response object from the fetch request.
+ * @returns {number|null} The delay in milliseconds, or null if the header is missing or invalid.
+ */
+function parseRetryAfter(response) {
+    const value = response && response.headers ? response.headers.get('retry-after') : null;
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates a structured error describing why an easyAjax request failed.
+ * @param {string} kind - The kind of failure: 'http', 'validation', 'timeout', 'abort', 'network' or 'parse'.
+ * @param {string} message - A human readable description of the failure.
+ * @param {Object} details - Details attached to the error.
+ * @param {number} [details.status] - The HTTP status code, or 0 when no response was received.
+ * @param {any} [details.data] - The parsed response body, if any.
+ * @param {Object} [details.settings] - Settings object from the easyAjax function.
+ * @param {Response} [details.response] - The Response object from the fetch request, if any.
+ * @param {Error} [details.cause] - The underlying error that caused this failure, if any.
+ * @returns {Error} The error object with the details attached.
+ */
+function createAjaxError(kind, message, details) {
+    const error = new Error(message);
+    error.name = 'EasyAjaxError';
+    error.kind = kind;
+    error.status = details.status || 0;
+    error.data = details.data !== undefined ? details.data : null;
+    error.settings = details.settings || null;
+    error.response = details.response || null;
+    if (details.cause) {
+        error.cause = details.cause;
+    }
+    return error;
+}
+
+/**
+ * Checks whether an error was created by createAjaxError.
+ * @param {any} error - The error to check.
+ * @returns {boolean} True if the error is a structured easyAjax error.
+ */
+function isAjaxError(error) {
+    return !!error && error.name === 'EasyAjaxError' && typeof error.kind === 'string';
+}
+
+/**
+ * Converts an arbitrary error raised during a request into a structured easyAjax error.
+ * @param {Error} error - The error to convert.
+ * @param {string} fallbackKind - The kind to use when the error is neither structured nor an abort.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @param {Object} requestState - Per-request state, used to tell timeouts apart from other aborts.
+ * @returns {Error} The structured error.
+ */
+function toAjaxError(error, fallbackKind, settings, requestState) {
+    if (isAjaxError(error)) {
+        return error;
+    }
+    if (error && error.name === 'AbortError') {
+        return requestState.timedOut
+            ? createAjaxError('timeout', `Request timed out after ${settings.timeout}ms`, { settings, cause: error })
+            : createAjaxError('abort', 'Request was aborted', { settings, cause: error });
+    }
+    return createAjaxError(fallbackKind, error && error.message ? error.message : String(error), { settings, cause: error });
+}
+
+/**
+ * Toggles the loading state of a button.
+ * @param {string|Element} selector - Selector or element for the button(s) to toggle.
+ * @param {boolean} isLoading - Whether the button(s) should be in the loading state.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ */
+function toggleButtonLoading(selector, isLoading, settings) {
+    if (!selector) {
+        console.warn('toggleButtonLoading: Selector is not provided');
+        return;
+    }
+
+    let buttons;
+
+    if (selector instanceof Element) {
+        buttons = [selector];
+    } else if (settings && settings.container instanceof Element) {
+        buttons = settings.container.querySelectorAll(selector);
+    } else {
+        console.warn('toggleButtonLoading: Invalid or missing container in settings, and selector is not a valid element');
+        return;
+    }
+
+    buttons.forEach(button => {
+        if (isLoading) {
+            button.setAttribute('data-kt-indicator', 'on');
+            button.disabled = true;
+        } else {
+            button.removeAttribute('data-kt-indicator');
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Renders a Bootstrap progress bar next to the submit button, or at the end of the container if there is none.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @returns {Object|null} The progress bar, with update(progress) and remove() methods, or null without a container.
+ */
+function createProgressBar(settings) {
+    if (!(settings.container instanceof Element)) {
+        return null;
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('progress', 'mt-3');
+    wrapper.setAttribute('role', 'progressbar');
+    wrapper.setAttribute('aria-valuemin', '0');
+    wrapper.setAttribute('aria-valuemax', '100');
+    wrapper.setAttribute('aria-valuenow', '0');
+
+    const bar = document.createElement('div');
+    bar.classList.add('progress-bar');
+    bar.style.width = '0%';
+    wrapper.appendChild(bar);
+
+    const button = settings.buttonSelector instanceof Element
+        ? settings.buttonSelector
+        : settings.container.querySelector(settings.buttonSelector);
+    if (button) {
+        button.insertAdjacentElement('afterend', wrapper);
+    } else {
+        settings.container.appendChild(wrapper);
+    }
+
+    return {
+        /**
+         * Updates the progress bar, switching to an animated striped bar while the total size is unknown.
+         * @param {Object} progress - The progress object passed to the progress callbacks.
+         */
+        update(progress) {
+            const unknown = progress.percent === null;
+            bar.classList.toggle('progress-bar-striped', unknown);
+            bar.classList.toggle('progress-bar-animated', unknown);
+            bar.style.width = unknown ? '100%' : `${progress.percent}%`;
+            bar.textContent = unknown ? '' : `${progress.percent}%`;
+            wrapper.setAttribute('aria-valuenow', unknown ? '0' : String(progress.percent));
+        },
+        /**
+         * Removes the progress bar from the DOM.
+         */
+        remove() {
+            wrapper.remove();
+        }
+    };
+}
+
+/**
+ * Default function to be called before sending the request.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ */
+function defaultBeforeSend(settings) {
+    if (settings && settings.disableButton && settings.buttonSelector && settings.container) {
+        toggleButtonLoading(settings.buttonSelector, true, settings);
+    }
+}
+
+/**
+ * Validates the response from the fetch request.
+ * @param {Response} response - The Response object from the fetch request.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ * @returns {Promise<Response>|Response} The response, or a promise rejected with a structured error for non-2xx statuses.
+ */
+function validateResponse(response, settings) {
+    if (!response.ok) {
+        return readErrorBody(response).then(data => {
+            // Laravel answers failed form validation with 422 Unprocessable Entity
+            const kind = response.status === 422 ? 'validation' : 'http';
+            const error = createAjaxError(kind, `Request failed with status ${response.status}`, {
+                status: response.status,
+                data,
+                settings,
+                response
+            });
+            error.responseJson = data; // Attach the parsed response to the error object
+            if (/problem\+json/i.test(response.headers.get('content-type') || '')) {
+                error.problem = data; // RFC 7807 problem details document
+            }
+            throw error;
+        });
+    }
+    return response;
+}
+
+/**
+ * Reads the body of a failed response, preferring JSON and falling back to text.
+ * @param {Response} response - The Response object from the fetch request.
+ * @returns {Promise<any>} A promise that resolves to the parsed body, or null if it could not be read.
+ */
+function readErrorBody(response) {
+    const contentType = response.headers.get('content-type') || '';
+    const reader = contentType.includes('json') ? response.json() : response.text();
+    return reader.catch(() => null);
+}
+
+/**
+ *  Processes the content type of the response and returns the appropriate data.
+ *  settings.dataType selects how the body is read: 'json', 'text', 'html' (sanitized), 'xml' (parsed Document), 'blob',
+ *  'arrayBuffer', 'formData', 'stream' (the ReadableStream itself) or 'auto', which picks one from the
+ *  Content-Type header. Empty bodies resolve to null.
+ *  @param {Response} response - The Response object from the fetch request.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ *  @returns {Promise<any>} A promise that resolves to the processed data.
+ */
+async function processContentType(response, settings) {
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    const dataType = settings.dataType === 'auto' || !settings.dataType ? detectDataType(contentType) : settings.dataType;
+
+    // 204 No Content, 205 Reset Content and 304 Not Modified never have a body
+    if ([204, 205, 304].includes(response.status) || response.headers.get('content-length') === '0') {
+        return null;
+    }
+
+    switch (dataType) {
+        case 'json': {
+            const text = await response.text();
+            return text.trim() === '' ? null : JSON.parse(text);
+        }
+        case 'text':
+            return await response.text();
+        case 'html': {
+            // HTML responses are sanitized before they reach the success handlers, unless sanitize is false
+            const html = await response.text();
+            if (settings.sanitize === false) return html;
+            return sanitizeHTML(html, typeof settings.sanitize === 'function' ? { sanitize: settings.sanitize } : null);
+        }
+        case 'xml': {
+            const text = await response.text();
+            if (text.trim() === '') return null;
+            const xml = new DOMParser().parseFromString(text, 'application/xml');
+            if (xml.getElementsByTagName('parsererror').length) {
+                throw new Error('Invalid XML in response');
+            }
+            return xml;
+        }
+        case 'blob': {
+            const blob = await response.blob();
+            if (settings.download) {
+                const fileName = typeof settings.download === 'string'
+                    ? settings.download
+                    : getDispositionFileName(response.headers.get('content-disposition'));
+                downloadBlob(blob, fileName);
+            }
+            return blob;
+        }
+        case 'arrayBuffer':
+            return await response.arrayBuffer();
+        case 'formData':
+            return await response.formData();
+        case 'stream':
+            return response.body;
+        case 'auto': {
+            // Without a Content-Type header, use JSON if the body parses as JSON and text otherwise
+            const text = await response.text();
+            if (text.trim() === '') return null;
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+        default:
+            throw new Error('Unsupported data type: ' + dataType);
+    }
+}
+
+/**
+ *  Reads a streamed response incrementally. settings.stream selects how the body is parsed: 'text', 'ndjson'
+ *  (one JSON value per line), 'sse' (text/event-stream events) or true, which picks one from the Content-Type header.
+ *  settings.onChunk receives every decoded chunk of text and settings.onMessage every parsed NDJSON value or event.
+ *  @param {Response} response - The Response object from the fetch request.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ *  @param {Function} onActivity - Called whenever data arrives, to re-arm the idle timeout.
+ *  @returns {Promise<string|Array>} A promise resolving to the full text, or to every parsed value or event.
+ */
+function readStream(response, settings, onActivity) {
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    const mode = settings.stream === true ? detectStreamMode(contentType) : settings.stream;
+    const parser = createStreamParser(mode, settings);
+    const handleText = text => {
+        if (!text) return;
+        if (typeof settings.onChunk === 'function') settings.onChunk(text);
+        parser.push(text);
+    };
+
+    // Without a readable body (e.g. older browsers), the whole body is handled as a single chunk
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        return response.text().then(text => {
+            handleText(text);
+            return parser.end();
+        });
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const pump = () => reader.read().then(({ done, value }) => {
+        onActivity();
+        if (done) {
+            handleText(decoder.decode());
+            return parser.end();
+        }
+        handleText(decoder.decode(value, { stream: true }));
+        return pump();
+    });
+    return pump().catch(error => {
+        // Stop downloading a body that can no longer be parsed, e.g. after an invalid NDJSON line
+        reader.cancel().catch(() => {});
+        throw error;
+    });
+}
+
+/**
+ *  Picks the stream parsing mode from the Content-Type header.
+ *  @param {string} contentType - The lower-cased Content-Type header.
+ *  @returns {string} 'sse', 'ndjson' or 'text'.
+ */
+function detectStreamMode(contentType) {
+    if (contentType.includes('text/event-stream')) return 'sse';
+    if (/ndjson|jsonl|json-seq|jsonlines/.test(contentType)) return 'ndjson';
+    return 'text';
+}
+
+/**
+ *  Creates an incremental parser for a streamed response body.
+ *  @param {string} mode - 'text', 'ndjson' or 'sse'.
+ *  @param {Object} settings - Settings object from the easyAjax function, holding the onMessage callback.
+ *  @returns {Object} The parser, with push(text) and end() methods; end() returns the parsed result.
+ */
+function createStreamParser(mode, settings) {
+    const messages = [];
+    const emit = message => {
+        messages.push(message);
+        if (typeof settings.onMessage === 'function') settings.onMessage(message);
+    };
+    let buffer = '';
+
+    if (mode === 'ndjson') {
+        const parseLine = line => {
+            if (line.trim() !== '') emit(JSON.parse(line));
+        };
+        return {
+            push(text) {
+                buffer += text;
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // The last line may be incomplete
+                lines.forEach(parseLine);
+            },
+            end() {
+                parseLine(buffer);
+                return messages;
+            }
+        };
+    }
+
+    if (mode === 'sse') {
+        // Parses one event block following the EventSource specification
+        const parseEvent = block => {
+            const event = { event: 'message', data: '', id: null, retry: null };
+            const data = [];
+            block.split('\n').forEach(line => {
+                if (line === '' || line.charAt(0) === ':') return; // Comments keep the connection alive
+                const index = line.indexOf(':');
+                const field = index === -1 ? line : line.slice(0, index);
+                const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+                if (field === 'data') data.push(value);
+                else if (field === 'event') event.event = value;
+                else if (field === 'id') event.id = value;
+                else if (field === 'retry' && /^\d+$/.test(value)) event.retry = parseInt(value, 10);
+            });
+            if (data.length) {
+                event.data = data.join('\n');
+                emit(event);
+            }
+        };
+        return {
+            push(text) {
+                // A trailing \r may be the first half of a \r\n line break split across chunks
+                const raw = buffer + text;
+                const pendingReturn = raw.endsWith('\r') ? '\r' : '';
+                const blocks = raw.slice(0, raw.length - pendingReturn.length).replace(/\r\n?/g, '\n').split('\n\n');
+                buffer = blocks.pop() + pendingReturn; // The last event may be incomplete
+                blocks.forEach(parseEvent);
+            },
+            end() {
+                parseEvent(buffer.replace(/\r\n?/g, '\n'));
+                return messages;
+            }
+        };
+    }
+
+    return {
+        push(text) {
+            buffer += text;
+        },
+        end() {
+            return buffer;
+        }
+    };
+}
+
+/**
+ *  Picks the data type used to read a response from its Content-Type header.
+ *  @param {string} contentType - The lower-cased Content-Type header, or an empty string if it is missing.
+ *  @returns {string} The data type: 'json', 'html', 'xml', 'text', 'formData', 'blob', or 'auto' if unknown.
+ */
+function detectDataType(contentType) {
+    if (!contentType) return 'auto';
+    // Covers application/json as well as suffixed types such as application/problem+json (RFC 7807)
+    if (/[/+]json\b/.test(contentType)) return 'json';
+    if (contentType.includes('text/html')) return 'html';
+    if (/[/+]xml\b/.test(contentType)) return 'xml';
+    if (contentType.startsWith('text/')) return 'text';
+    if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) return 'formData';
+    return 'blob';
+}
+
+/**
+ *  Reads the file name from a Content-Disposition header, supporting the RFC 5987 filename* form.
+ *  @param {string|null} disposition - The Content-Disposition header.
+ *  @returns {string} The file name, or 'download' if the header does not name one.
+ */
+function getDispositionFileName(disposition) {
+    if (!disposition) return 'download';
+
+    const encoded = disposition.match(/filename\*\s*=\s*(?:[\w-]+)?''([^;]+)/i);
+    if (encoded) {
+        try {
+            return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+        } catch (error) {
+            // Fall through to the plain filename parameter
+        }
+    }
+
+    const plain = disposition.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+    return plain ? (plain[2] !== undefined ? plain[2] : plain[1].trim()) : 'download';
+}
+
+/**
+ *  Saves a Blob as a file through a temporary link.
+ *  @param {Blob} blob - The file contents.
+ *  @param {string} fileName - The name to save the file under.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke on the next tick, some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ *  Processes the response data from the request.
+ *  @param {any} data - The data returned from the request.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ *  @param {Object} [meta] - Passed to the success handlers, e.g. { stale: true } for stale cached data, which skips
+ *  the message, redirect and actions of the response.
+ *  @returns {any} The response data, which the promise returned by easyAjax resolves with.
+ */
+function processResponse(data, settings, meta) {
+    if (data && data.status === 'fail') {
+        // The server reported a failure in a successful response, treat it as a conflict
+        throw createAjaxError('http', data.message || 'The request failed.', {
+            status: 409, // You can use the 409 Conflict status or a custom status code
+            data,
+            settings
+        });
+    }
+
+    // Handle the success case
+    if (settings.customSuccessHandler) {
+        settings.customSuccessHandler(data, settings, meta);
+    } else {
+        if (settings.success) {
+            settings.success(data, meta);
+        }
+        if (!meta || !meta.stale) {
+            handleSuccess(data, settings);
+        }
+    }
+
+    return data;
+}
+
+/**
+ *  Handles errors that occur during the fetch operation.
+ *  @param {Error} error - The structured error created by createAjaxError.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ */
+function handleError(error, settings) {
+    const errorJson = error.data && typeof error.data === 'object' ? error.data : {};
+
+    switch (error.kind) {
+        case 'validation':
+            // Handle validation errors
+            notify(settings, 'error', errorJson.message || errorJson.detail || 'Validation errors occurred.', errorJson);
+            if (errorJson.errors) {
+                displayValidationErrors(errorJson.errors, settings);
+            }
+            break;
+        case 'http':
+            if (error.status === 409) {
+                // Handle conflict errors
+                // You can display a generic message or a specific message from the server if available
+                notify(settings, 'error', errorJson.message || 'A conflict occurred with your request.', errorJson);
+            } else if (error.problem) {
+                // RFC 7807 problem details documents are meant to be shown to the user
+                notify(settings, 'error', errorJson.detail || errorJson.title || 'An unexpected error occurred.', errorJson);
+            } else {
+                // Handle other HTTP errors
+                notify(settings, 'error', 'An unexpected error occurred.');
+            }
+            break;
+        case 'parse':
+            console.error('Error parsing response:', error.cause || error);
+            notify(settings, 'error', 'An unexpected error occurred.');
+            break;
+        case 'timeout':
+            notify(settings, 'error', 'The request timed out. Please try again.');
+            break;
+        case 'abort':
+            // The request was cancelled on purpose, there is nothing to report
+            break;
+        default:
+            if (error.queued) {
+                // The request was stored in the offline queue and will be sent when the connection is back
+                notify(settings, 'warning', 'You are offline. Your changes will be sent when the connection is restored.');
+                break;
+            }
+            // Handle non-HTTP errors (e.g., network issues)
+            notify(settings, 'error', 'A network error occurred. Please check your connection and try again.');
+    }
+}
+
+/**
+ *  Displays the validation errors of a Laravel 422 response next to the matching fields.
+ *  @param {Object} errors - The errors object of the response, mapping field keys to arrays of messages.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ */
+function displayValidationErrors(errors, settings) {
+    if (!(settings.container instanceof Element)) return;
+
+    const invalidElements = [];
+    Object.entries(errors).forEach(([field, messages]) => {
+        const elements = findFieldElements(settings.container, field);
+        if (elements.length) {
+            displayValidationError(elements, messages);
+            invalidElements.push(...elements);
+        }
+    });
+
+    if (settings.errorSummary) {
+        renderErrorSummary(errors, settings.container);
+    }
+
+    if (settings.focusInvalid) {
+        focusFirstInvalid(invalidElements);
+    }
+}
+
+/**
+ *  Finds the form fields matching a Laravel validation error key.
+ *  Dot notation keys such as 'items.0.qty' or 'tags.*' are matched against bracketed names such as 'items[0][qty]'
+ *  and 'tags[]', and numeric keys such as 'tags.1' fall back to the nth field named 'tags[]'.
+ *  @param {Element} container - The container element to search in.
+ *  @param {string} field - The validation error key.
+ *  @returns {Element[]} The matching fields, in document order.
+ */
+function findFieldElements(container, field) {
+    const segments = field.split('.');
+    const pattern = segments.map((segment, index) => {
+        const part = segment === '*' ? '[^\\]]*' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return index === 0 ? part : `\\[${part}\\]`;
+    }).join('');
+    const namePattern = new RegExp(`^${pattern}(\\[\\])?$`); // Multi-value fields may end with []
+
+    const namedElements = Array.from(container.querySelectorAll('[name]'));
+    const elements = namedElements.filter(element => namePattern.test(element.getAttribute('name')));
+
+    const lastSegment = segments[segments.length - 1];
+    if (!elements.length && segments.length > 1 && /^\d+$/.test(lastSegment)) {
+        const listName = segments.slice(1, -1).reduce((name, segment) => `${name}[${segment}]`, segments[0]) + '[]';
+        const element = namedElements.filter(element => element.getAttribute('name') === listName)[Number(lastSegment)];
+        return element ? [element] : [];
+    }
+
+    return elements;
+}
+
+/**
+ *  Finds the element after which the validation message of a field is inserted.
+ *  Input groups, checkbox/radio wrappers and select2/Tom Select/Choices.js widgets would break their layout
+ *  if the message was appended inside them, so the message goes after the whole widget instead.
+ *  @param {Element} inputElement - The field, or the last field of a checkbox/radio group.
+ *  @returns {Element} The element to insert the message after.
+ */
+function getValidationAnchor(inputElement) {
+    const sibling = inputElement.nextElementSibling;
+    if (sibling && sibling.matches('.select2-container, .select2, .ts-wrapper')) {
+        return sibling;
+    }
+    return inputElement.closest('.input-group, .form-check, .choices') || inputElement;
+}
+
+/**
+ *  Displays validation error messages below the specified input element(s).
+ *  @param {Element|Element[]} inputElement - The input element, or the fields of a checkbox/radio group.
+ *  @param {string|string[]} message - The validation error message(s) to display.
+ */
+function displayValidationError(inputElement, message) {
+    const inputs = inputElement instanceof Element ? [inputElement] : Array.from(inputElement || []);
+    if (!inputs.length) return; // Guard clause in case the input element isn't found
+
+    const anchor = getValidationAnchor(inputs[inputs.length - 1]);
+
+    // Remove any existing error message first
+    if (anchor.nextElementSibling && anchor.nextElementSibling.classList.contains('invalid-feedback')) {
+        anchor.nextElementSibling.remove();
+    }
+
+    // Add Bootstrap 'is-invalid' class to the input element(s) and to any widget wrapping them
+    inputs.forEach(input => {
+        input.classList.add('is-invalid');
+        input.setAttribute('aria-invalid', 'true');
+    });
+    if (anchor.matches('.select2-container, .select2, .ts-wrapper, .choices')) {
+        anchor.classList.add('is-invalid');
+    }
+
+    // Create the error message element, with one line per message. It is shown with d-block because it is not
+    // always a sibling of the invalid input that Bootstrap's CSS expects
+    const errorDiv = document.createElement('div');
+    errorDiv.classList.add('invalid-feedback', 'd-block');
+    (Array.isArray(message) ? message : [message]).forEach(text => {
+        const line = document.createElement('div');
+        line.textContent = text; // Set the error message text
+        errorDiv.appendChild(line);
+    });
+
+    // Insert the error message element into the DOM
+    anchor.insertAdjacentElement('afterend', errorDiv);
+}
+
+/**
+ *  Renders a summary of all validation messages at the top of the form.
+ *  @param {Object} errors - The errors object of the response, mapping field keys to arrays of messages.
+ *  @param {Element} container - The container element of the form.
+ */
+function renderErrorSummary(errors, container) {
+    const target = container.querySelector('form') || container;
+
+    const summary = document.createElement('div');
+    summary.classList.add('alert', 'alert-danger', 'easy-ajax-error-summary');
+    summary.setAttribute('role', 'alert');
+
+    const list = document.createElement('ul');
+    list.classList.add('mb-0');
+    Object.values(errors).forEach(messages => {
+        (Array.isArray(messages) ? messages : [messages]).forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+    });
+    summary.appendChild(list);
+
+    target.insertAdjacentElement('afterbegin', summary);
+}
+
+/**
+ *  Scrolls to and focuses the first invalid field in document order.
+ *  @param {Element[]} elements - The invalid fields.
+ */
+function focusFirstInvalid(elements) {
+    const first = elements.slice().sort((a, b) => {
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    })[0];
+    if (!first) return;
+
+    // Hidden selects enhanced by select2 and similar widgets cannot take focus, so focus the widget instead
+    const anchor = getValidationAnchor(first);
+    const focusTarget = anchor.matches('.select2-container, .select2, .ts-wrapper')
+        ? anchor.querySelector('[tabindex], input') || first
+        : first;
+
+    if (typeof focusTarget.scrollIntoView === 'function') {
+        focusTarget.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    focusTarget.focus({ preventScroll: true });
+}
+
+/**
+ *  Removes all validation messages, invalid states and the error summary from a container.
+ *  @param {Element} container - The container element of the form.
+ */
+function clearValidationErrors(container) {
+    if (!(container instanceof Element)) return;
+
+    container.querySelectorAll('.invalid-feedback, .easy-ajax-error-summary').forEach(element => element.remove());
+    container.querySelectorAll('.is-invalid').forEach(element => element.classList.remove('is-invalid'));
+    container.querySelectorAll('[aria-invalid]').forEach(element => element.removeAttribute('aria-invalid'));
+}
+
+/**
+ * Handles successful responses from the fetch operation.
+ * @param {any} response - The response data.
+ * @param {Object} settings - Settings object from the easyAjax function.
+ */
+function handleSuccess(response, settings) {
+    // Clear existing validation errors
+    clearValidationErrors(settings.container);
+
+    // Only JSON objects can carry a redirect URL, actions or a message; HTML, Blobs and empty bodies cannot
+    const data = Object.prototype.toString.call(response) === '[object Object]' ? response : {};
+
+    if (settings.redirect && data.url) {
+        window.location.href = data.url;
+    }
+
+    const form = getContainerForm(settings.container);
+    if (settings.formReset && form) {
+        form.reset();
+    }
+
+    if (settings.serverActions && Array.isArray(data.actions)) {
+        runResponseActions(data.actions, settings);
+    }
+
+    if (settings.showToastrMsg && data.message) {
+        notify(settings, 'success', data.message, data);
+    }
+}
+
+/**
+ *  Severities a notification can have. Responses may pick one through their 'severity' key.
+ *  @type {string[]}
+ */
+const NOTIFY_SEVERITIES = ['success', 'info', 'warning', 'error'];
+
+/**
+ *  Shows a notification through the notifier adapter selected in the settings.
+ *  A response object may override the severity ('severity'), add a title ('title') and ask for a modal dialog
+ *  instead of a toast ('presentation': 'modal'), which is shown through settings.modalNotifier.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ *  @param {string} type - The default severity: 'success', 'info', 'warning' or 'error'.
+ *  @param {string} message - The message to display.
+ *  @param {Object} [response] - The response data the message comes from, if any.
+ */
+function notify(settings, type, message, response) {
+    if (!message) return;
+
+    const details = response && typeof response === 'object' ? response : {};
+    const presentation = details.presentation === 'modal' && settings.showSwalMsg ? 'modal' : 'toast';
+    const notification = {
+        type: NOTIFY_SEVERITIES.includes(details.severity) ? details.severity : type,
+        message: String(message),
+        title: details.title || '',
+        presentation
+    };
+
+    const adapter = resolveNotifier(presentation === 'modal' ? settings.modalNotifier : settings.notifier);
+    adapter.notify(notification, settings);
+}
+
+/**
+ *  Resolves a notifier setting into an adapter, falling back to the console when it is not available
+ *  (e.g. the toastr adapter is selected but toastr is not loaded on the page).
+ *  @param {string|Object} notifier - The name of a registered adapter, or an adapter object.
+ *  @returns {Object} The notifier adapter.
+ */
+function resolveNotifier(notifier) {
+    const adapter = typeof notifier === 'string' ? easyAjax.notifiers[notifier] : notifier;
+    if (!adapter || typeof adapter.notify !== 'function') {
+        console.warn('easyAjax: Unknown notifier, falling back to the console:', notifier);
+        return easyAjax.notifiers.console;
+    }
+    if (typeof adapter.isAvailable === 'function' && !adapter.isAvailable()) {
+        return easyAjax.notifiers.console;
+    }
+    return adapter;
+}
+
+/**
+ *  Built-in notifier adapters. An adapter has a notify(notification, settings) method, where notification is
+ *  { type, message, title, presentation }, and an optional isAvailable() method. Custom adapters can be added
+ *  to this object and selected by name through the notifier and modalNotifier options.
+ *  @type {Object<string, Object>}
+ */
+easyAjax.notifiers = {
+    toastr: {
+        isAvailable: () => typeof window.toastr !== 'undefined',
+        notify(notification, settings) {
+            window.toastr[notification.type](notification.message, notification.title, settings.toastrOptions);
+        }
+    },
+    swal: {
+        isAvailable: () => typeof window.Swal !== 'undefined',
+        notify(notification, settings) {
+            // Toasts use SweetAlert2's toast mode, modal dialogs use the regular alert
+            const toastOptions = notification.presentation === 'toast'
+                ? { toast: true, position: 'top-end', showConfirmButton: false, timer: 3000, timerProgressBar: true }
+                : {};
+            window.Swal.fire(Object.assign(toastOptions, settings.swalOptions, {
+                title: notification.title,
+                text: notification.message,
+                icon: notification.type
+            }));
+        }
+    },
+    bootstrap: {
+        isAvailable: () => typeof window.bootstrap !== 'undefined' && typeof window.bootstrap.Toast !== 'undefined',
+        notify(notification) {
+            const colors = { success: 'success', info: 'info', warning: 'warning', error: 'danger' };
+
+            // Reuse a single container so toasts stack in the corner of the page
+            let toastContainer = document.querySelector('.easy-ajax-toast-container');
+            if (!toastContainer) {
+                toastContainer = document.createElement('div');
+                toastContainer.classList.add('toast-container', 'easy-ajax-toast-container', 'position-fixed', 'top-0', 'end-0', 'p-3');
+                document.body.appendChild(toastContainer);
+            }
+
+            const toastElement = document.createElement('div');
+            toastElement.classList.add('toast', 'align-items-center', 'border-0', `text-bg-${colors[notification.type]}`);
+            toastElement.setAttribute('role', notification.type === 'error' ? 'alert' : 'status');
+            toastElement.setAttribute('aria-live', notification.type === 'error' ? 'assertive' : 'polite');
+            toastElement.setAttribute('aria-atomic', 'true');
+            toastElement.innerHTML = '<div class="d-flex"><div class="toast-body"></div>' +
+                '<button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button></div>';
+
+            const body = toastElement.querySelector('.toast-body');
+            if (notification.title) {
+                const title = document.createElement('strong');
+                title.classList.add('d-block');
+                title.textContent = notification.title;
+                body.appendChild(title);
+            }
+            body.appendChild(document.createTextNode(notification.message));
+
+            toastContainer.appendChild(toastElement);
+            toastElement.addEventListener('hidden.bs.toast', () => toastElement.remove());
+            window.bootstrap.Toast.getOrCreateInstance(toastElement).show();
+        }
+    },
+    alert: {
+        notify(notification) {
+            window.alert(notification.title ? `${notification.title}\n\n${notification.message}` : notification.message);
+        }
+    },
+    console: {
+        notify(notification) {
+            const method = notification.type === 'error' ? 'error' : notification.type === 'warning' ? 'warn' : 'log';
+            console[method](notification.title ? `${notification.title}: ${notification.message}` : notification.message);
+        }
+    },
+    silent: {
+        notify() {
+            // Intentionally shows nothing
+        }
+    }
+};
+
+/**
+ *  Runs the UI actions a server response asks for, in order. An unknown or failing action is logged and skipped
+ *  so it does not prevent the remaining actions from running.
+ *  @param {Object[]} actions - The actions of the response, each with a 'type' naming an entry of easyAjax.actions.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ */
+function runResponseActions(actions, settings) {
+    actions.forEach(action => {
+        const handler = action && easyAjax.actions[action.type];
+        if (typeof handler !== 'function') {
+            console.warn('easyAjax: Unknown response action:', action);
+            return;
+        }
+        try {
+            handler(action, settings);
+        } catch (error) {
+            console.error('easyAjax: Response action failed:', action, error);
+        }
+    });
+}
+
+/**
+ *  Finds the elements targeted by a response action.
+ *  @param {Object} action - The action, with a 'selector' key.
+ *  @returns {Element[]} The matching elements.
+ */
+function getActionTargets(action) {
+    return action.selector ? Array.from(document.querySelectorAll(action.selector)) : [];
+}
+
+/**
+ *  Finds the Bootstrap modal the request was made from, or the topmost open modal.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ *  @returns {Element|null} The modal element, or null if no modal is open.
+ */
+function getCurrentModalElement(settings) {
+    const fromContainer = settings.container instanceof Element ? settings.container.closest('.modal') : null;
+    if (fromContainer) {
+        return fromContainer;
+    }
+    // The modal stack of easy-modal.js knows which modal is on top, the DOM order only approximates it
+    if (typeof ajaxModalStack !== 'undefined' && ajaxModalStack.top()) {
+        return ajaxModalStack.top();
+    }
+    const openModals = document.querySelectorAll('.modal.show');
+    return openModals[openModals.length - 1] || null;
+}
+
+/**
+ *  Built-in response actions, keyed by the action 'type' sent by the server. Each handler receives the action
+ *  object and the settings of the request. Custom actions can be added to this object.
+ *  @type {Object<string, Function>}
+ */
+easyAjax.actions = {
+    // { type: 'replace', selector, html } replaces the content of the matching elements
+    replace: action => getActionTargets(action).forEach(element => {
+        easyAjax.sanitizer.insert(element, action.html || '');
+    }),
+    // { type: 'replaceWith', selector, html } replaces the matching elements themselves
+    replaceWith: action => getActionTargets(action).forEach(element => {
+        easyAjax.sanitizer.insert(element, action.html || '', { position: 'outer' });
+    }),
+    // { type: 'append', selector, html } appends HTML to the matching elements
+    append: action => getActionTargets(action).forEach(element => {
+        easyAjax.sanitizer.insert(element, action.html || '', { position: 'beforeend' });
+    }),
+    // { type: 'prepend', selector, html } prepends HTML to the matching elements
+    prepend: action => getActionTargets(action).forEach(element => {
+        easyAjax.sanitizer.insert(element, action.html || '', { position: 'afterbegin' });
+    }),
+    // { type: 'remove', selector } removes the matching elements, e.g. a deleted table row
+    remove: action => getActionTargets(action).forEach(element => element.remove()),
+    // { type: 'reload' } reloads the page
+    reload: () => window.location.reload(),
+    // { type: 'redirect', url } navigates to another page
+    redirect: action => {
+        window.location.href = action.url;
+    },
+    // { type: 'notify', message, severity, title, presentation } shows a message through the notifier
+    notify: (action, settings) => notify(settings, action.severity || 'info', action.message, action),
+    // { type: 'closeModal', result } closes the modal the request was made from, settling the result of an ajaxModal
+    closeModal: (action, settings) => {
+        const modalElement = getCurrentModalElement(settings);
+        const controller = modalElement && typeof getAjaxModal === 'function' ? getAjaxModal(modalElement) : null;
+        if (controller) {
+            controller.close(action.result);
+            return;
+        }
+        const modal = modalElement && typeof bootstrap !== 'undefined' ? bootstrap.Modal.getInstance(modalElement) : null;
+        if (modal) {
+            modal.hide();
+        }
+    },
+    // { type: 'openModal', url, size, id, options } opens another modal through ajaxModal (easy-modal.js)
+    openModal: action => {
+        if (typeof ajaxModal !== 'function') {
+            console.warn('easyAjax: The openModal action requires easy-modal.js');
+            return;
+        }
+        ajaxModal(null, action.url, action.size || '', action.id, null, action.options);
+    },
+    // { type: 'event', name, detail, selector } dispatches a custom DOM event on the matching elements or the document
+    event: action => {
+        const targets = action.selector ? getActionTargets(action) : [document];
+        targets.forEach(target => target.dispatchEvent(new CustomEvent(action.name, {
+            bubbles: true,
+            detail: action.detail
+        })));
+    },
+    // { type: 'download', url, filename } downloads a file
+    download: action => {
+        const link = document.createElement('a');
+        link.href = action.url;
+        link.download = action.filename || '';
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+};
+
+/**
+ *  Sanitizes HTML content to prevent XSS attacks, using the policy of easyAjax.sanitizer.
+ *  @param {string} html - The HTML content to sanitize.
+ *  @param {Object} [options] - Overrides of the sanitizer policy for this call.
+ *  @returns {string} The sanitized HTML.
+ */
+function sanitizeHTML(html, options) {
+    return easyAjax.sanitizer.sanitize(html, options);
+}
+
+/**
+ *  Default policy of the HTML sanitizer, see easyAjax.sanitizer.configure().
+ *  @type {Object}
+ */
+const DEFAULT_SANITIZER_POLICY = {
+    sanitize: true, // true for the built-in allowlist, false to trust the HTML, or a function (e.g. DOMPurify.sanitize)
+    scripts: 'same-origin', // Which scripts run when HTML is inserted: 'none', 'same-origin' (src only), 'nonce' or 'all'
+    nonce: null, // CSP nonce given to the scripts that run, read from the page when not set
+    trustedTypes: 'easyAjax', // Name of the Trusted Types policy used when the browser supports them, false to disable
+    allowedTags: [
+        'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'button', 'caption', 'cite',
+        'code', 'col', 'colgroup', 'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em',
+        'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i',
+        'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'main', 'mark', 'meter', 'nav', 'ol', 'optgroup',
+        'option', 'output', 'p', 'picture', 'pre', 'progress', 'q', 's', 'samp', 'section', 'select', 'small',
+        'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'textarea', 'tfoot', 'th',
+        'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr', 'style', 'canvas', 'video', 'audio', 'track',
+        'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect', 'defs', 'use', 'symbol',
+        'text', 'tspan', 'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask', 'pattern'
+    ],
+    allowedAttributes: [
+        'accept', 'action', 'align', 'alt', 'autocomplete', 'autofocus', 'checked', 'cols', 'colspan', 'class',
+        'datetime', 'dir', 'disabled', 'download', 'enctype', 'for', 'form', 'headers', 'height', 'hidden', 'high',
+        'href', 'id', 'label', 'lang', 'list', 'loading', 'low', 'max', 'maxlength', 'media', 'method', 'min',
+        'minlength', 'multiple', 'name', 'novalidate', 'open', 'optimum', 'pattern', 'placeholder', 'readonly', 'rel',
+        'required', 'reversed', 'role', 'rows', 'rowspan', 'scope', 'selected', 'size', 'sizes', 'span', 'src',
+        'srcset', 'start', 'step', 'style', 'tabindex', 'target', 'title', 'type', 'value', 'width', 'wrap',
+        'autoplay', 'controls', 'kind', 'loop', 'muted', 'playsinline', 'poster', 'preload', 'srclang',
+        'cx', 'cy', 'd', 'fill', 'fill-rule', 'clip-rule', 'points', 'r', 'rx', 'ry', 'stroke', 'stroke-width',
+        'stroke-linecap', 'stroke-linejoin', 'transform', 'viewbox', 'x', 'x1', 'x2', 'xmlns', 'y', 'y1', 'y2',
+        'clip-path', 'dx', 'dy', 'fill-opacity', 'font-family', 'font-size', 'font-weight', 'gradienttransform',
+        'gradientunits', 'mask', 'offset', 'opacity', 'preserveaspectratio', 'stop-color', 'stop-opacity',
+        'stroke-dasharray', 'stroke-opacity', 'text-anchor', 'xlink:href', 'xmlns:xlink'
+    ],
+    allowedSchemes: ['http', 'https', 'mailto', 'tel']
+};
+
+/**
+ *  Elements removed together with their content, because their content is not meant to be shown as text.
+ *  Other elements that are not allowed are unwrapped, keeping their content.
+ *  @type {string[]}
+ */
+const SANITIZER_DROPPED_TAGS = [
+    'applet', 'base', 'embed', 'frame', 'frameset', 'head', 'iframe', 'link', 'math', 'meta', 'noembed', 'noframes',
+    'noscript', 'object', 'param', 'script', 'template', 'title'
+];
+
+/**
+ *  Attributes holding a URL, whose scheme is checked against the allowed schemes.
+ *  @type {string[]}
+ */
+const SANITIZER_URL_ATTRIBUTES = ['action', 'formaction', 'href', 'poster', 'src', 'xlink:href'];
+
+/**
+ *  CSS that can run script in old browsers, removed from style attributes and style elements.
+ *  @type {RegExp}
+ */
+const SANITIZER_UNSAFE_CSS = /expression\s*\(|url\s*\(\s*['"]?\s*javascript:|behavior\s*:|-moz-binding/i;
+
+/**
+ *  Creates the HTML sanitizer, which cleans HTML with an allowlist of tags and attributes (or a custom sanitizer
+ *  such as DOMPurify), inserts it into the page and runs the scripts its script policy allows. All HTML from the
+ *  server that easyAjax and ajaxModal insert goes through it.
+ *  @returns {Object} The sanitizer, with configure(), sanitize(), insert() and isScriptAllowed() methods.
+ */
+function createSanitizer() {
+    const policy = Object.assign({}, DEFAULT_SANITIZER_POLICY);
+    let trustedTypesPolicy = null; // null until created, false when it could not be created
+    let approvedValue = null;
+
+    /**
+     *  Returns the Trusted Types policy of the sanitizer, creating it on first use. The policy only passes on the
+     *  value trust() is converting, so it cannot be used to bypass the sanitizer.
+     *  @returns {Object|null} The Trusted Types policy, or null if Trusted Types are not supported, disabled, or the
+     *   policy could not be created.
+     */
+    function getTrustedTypesPolicy() {
+        if (!policy.trustedTypes || typeof window.trustedTypes === 'undefined' || !window.trustedTypes.createPolicy) {
+            return null;
+        }
+        if (trustedTypesPolicy === null) {
+            const approve = value => {
+                if (value !== approvedValue) {
+                    throw new TypeError('easyAjax: The value was not approved by easyAjax.sanitizer');
+                }
+                return value;
+            };
+            try {
+                trustedTypesPolicy = window.trustedTypes.createPolicy(policy.trustedTypes, {
+                    createHTML: approve,
+                    createScript: approve,
+                    createScriptURL: approve
+                });
+            } catch (error) {
+                // The trusted-types CSP directive does not list the policy name, or the name is already taken
+                console.warn(`easyAjax: Could not create the Trusted Types policy "${policy.trustedTypes}", falling back to the page's default policy:`, error);
+                trustedTypesPolicy = false;
+            }
+        }
+        return trustedTypesPolicy || null;
+    }
+
+    /**
+     *  Converts a value the sanitizer approved into a trusted type, when Trusted Types are in use.
+     *  @param {string} type - The policy method: 'createHTML', 'createScript' or 'createScriptURL'.
+     *  @param {string} value - HTML parsed into an inert template (raw or sanitized), or the script or script URL the
+     *   script policy allowed.
+     *  @returns {Object|string} The trusted value, or the value itself without Trusted Types.
+     */
+    function trust(type, value) {
+        const trustedTypes = getTrustedTypesPolicy();
+        if (!trustedTypes) {
+            return value;
+        }
+        approvedValue = value;
+        try {
+            return trustedTypes[type](value);
+        } finally {
+            approvedValue = null;
+        }
+    }
+
+    /**
+     *  Parses HTML into an inert template, where scripts don't run and images don't load.
+     *  @param {string} html - The HTML to parse.
+     *  @returns {HTMLTemplateElement} The template holding the parsed HTML.
+     */
+    function parse(html) {
+        const template = document.createElement('template');
+        template.innerHTML = trust('createHTML', html);
+        return template;
+    }
+
+    /**
+     *  Returns the CSP nonce given to the scripts that run: the configured one, or the one of the page's scripts.
+     *  @param {Object} config - The sanitizer policy.
+     *  @returns {string} The nonce, or an empty string if there is none.
+     */
+    function getNonce(config) {
+        if (config.nonce) {
+            return config.nonce;
+        }
+        const meta = document.querySelector('meta[name="csp-nonce"]');
+        const script = document.querySelector('script[nonce]');
+        return (meta && meta.getAttribute('content')) || (script && (script.nonce || script.getAttribute('nonce'))) || '';
+    }
+
+    /**
+     *  Checks whether a URL uses an allowed scheme. Relative URLs and fragments are allowed, and data URLs only
+     *  for images.
+     *  @param {string} value - The URL.
+     *  @param {Object} config - The sanitizer policy.
+     *  @param {string} tag - The tag name of the element the URL belongs to.
+     *  @returns {boolean} Whether the URL is safe.
+     */
+    function isSafeUrl(value, config, tag) {
+        // Browsers ignore whitespace and control characters in the scheme, e.g. 'java\tscript:'
+        const url = value.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+        const scheme = /^([a-z][a-z0-9+.-]*):/.exec(url);
+        if (!scheme) {
+            return true;
+        }
+        if (scheme[1] === 'data') {
+            return tag === 'img' && /^data:image\/(png|gif|jpe?g|webp|avif);/.test(url);
+        }
+        return config.allowedSchemes.includes(scheme[1]);
+    }
+
+    /**
+     *  Checks whether a script may run under the script policy.
+     *  @param {HTMLScriptElement} script - The script element.
+     *  @param {Object} config - The sanitizer policy.
+     *  @returns {boolean} Whether the script may run.
+     */
+    function isScriptAllowed(script, config) {
+        const src = script.getAttribute('src');
+        switch (config.scripts) {
+            case 'all':
+                return true;
+            case 'same-origin':
+                // Only external scripts, and only from the origin of the page
+                try {
+                    return Boolean(src) && new URL(src, window.location.href).origin === window.location.origin;
+                } catch (error) {
+                    return false;
+                }
+            case 'nonce': {
+                const nonce = getNonce(config);
+                return Boolean(nonce) && script.getAttribute('nonce') === nonce;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     *  Removes the elements and attributes the policy doesn't allow from parsed HTML. Scripts are kept when the
+     *  script policy allows them.
+     *  @param {DocumentFragment} root - The parsed HTML.
+     *  @param {Object} config - The sanitizer policy.
+     */
+    function clean(root, config) {
+        Array.from(root.querySelectorAll('*')).forEach(element => {
+            // The element may have been removed along with its parent
+            if (!root.contains(element)) {
+                return;
+            }
+
+            const tag = element.localName;
+            if (tag === 'script' && isScriptAllowed(element, config)) {
+                return;
+            }
+            if (tag === 'style' && SANITIZER_UNSAFE_CSS.test(element.textContent)) {
+                element.remove();
+                return;
+            }
+            if (!config.allowedTags.includes(tag)) {
+                if (SANITIZER_DROPPED_TAGS.includes(tag)) {
+                    element.remove();
+                } else {
+                    element.replaceWith(...element.childNodes);
+                }
+                return;
+            }
+
+            Array.from(element.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const allowed = !name.startsWith('on') && (name.startsWith('data-') || name.startsWith('aria-') ||
+                    config.allowedAttributes.includes(name));
+                if (!allowed || (SANITIZER_URL_ATTRIBUTES.includes(name) && !isSafeUrl(attribute.value, config, tag))) {
+                    element.removeAttribute(attribute.name);
+                } else if (name === 'srcset' && attribute.value.split(',').some(item => !isSafeUrl(item.trim(), config, tag))) {
+                    element.removeAttribute(attribute.name);
+                } else if (name === 'style' && SANITIZER_UNSAFE_CSS.test(attribute.value)) {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+        });
+    }
+
+    /**
+     *  Re-creates the allowed scripts of parsed HTML, so that they run once inserted into the page. Scripts parsed
+     *  from HTML never run by themselves. Scripts the policy doesn't allow are removed.
+     *  @param {DocumentFragment} root - The parsed HTML.
+     *  @param {Object} config - The sanitizer policy.
+     */
+    function activateScripts(root, config) {
+        const nonce = getNonce(config);
+
+        Array.from(root.querySelectorAll('script')).forEach(oldScript => {
+            if (!isScriptAllowed(oldScript, config)) {
+                oldScript.remove();
+                return;
+            }
+
+            const newScript = document.createElement('script');
+            Array.from(oldScript.attributes).forEach(attr => {
+                if (attr.name !== 'src' && attr.name !== 'nonce') {
+                    newScript.setAttribute(attr.name, attr.value);
+                }
+            });
+            if (nonce) {
+                newScript.nonce = nonce;
+            }
+
+            const src = oldScript.getAttribute('src');
+            if (src) {
+                newScript.async = oldScript.hasAttribute('async'); // Keep external scripts in order, like the parser does
+                newScript.src = trust('createScriptURL', src);
+            } else {
+                newScript.text = trust('createScript', oldScript.text);
+            }
+            oldScript.replaceWith(newScript);
+        });
+    }
+
+    /**
+     *  Sanitizes HTML with a policy.
+     *  @param {string} html - The HTML to sanitize.
+     *  @param {Object} config - The sanitizer policy.
+     *  @returns {string} The sanitized HTML.
+     */
+    function sanitize(html, config) {
+        const markup = html == null ? '' : String(html);
+
+        if (typeof config.sanitize === 'function') {
+            return String(config.sanitize(markup));
+        }
+
+        const template = parse(markup);
+        if (config.sanitize === false) {
+            // The HTML is trusted, but scripts still follow the script policy
+            template.content.querySelectorAll('script').forEach(script => {
+                if (!isScriptAllowed(script, config)) script.remove();
+            });
+        } else {
+            clean(template.content, config);
+        }
+        return template.innerHTML;
+    }
+
+    return {
+        /**
+         *  Changes the sanitizer policy, e.g. easyAjax.sanitizer.configure({ sanitize: html => DOMPurify.sanitize(html) }).
+         *  @param {Object} options - The options to change (see DEFAULT_SANITIZER_POLICY).
+         */
+        configure(options) {
+            if (options && options.trustedTypes !== undefined && options.trustedTypes !== policy.trustedTypes) {
+                trustedTypesPolicy = null;
+            }
+            Object.assign(policy, options);
+        },
+        /**
+         *  Sanitizes HTML.
+         *  @param {string} html - The HTML to sanitize.
+         *  @param {Object} [options] - Overrides of the policy for this call.
+         *  @returns {string} The sanitized HTML, which still contains the scripts the script policy allows.
+         */
+        sanitize(html, options) {
+            return sanitize(html, Object.assign({}, policy, options));
+        },
+        /**
+         *  Sanitizes HTML and inserts it into the page, running the scripts the script policy allows.
+         *  @param {Element} target - The element to insert the HTML into.
+         *  @param {string} html - The HTML to insert.
+         *  @param {Object} [options] - Overrides of the policy for this call, and the position: 'inner' (default,
+         *   replaces the content), 'outer' (replaces the element), 'beforebegin', 'afterbegin', 'beforeend' or 'afterend'.
+         *   With select, only the content of the first element matching the selector is inserted, or the element
+         *   itself with the 'outer' position, e.g. to pick a region out of a whole page.
+         *  @returns {Node[]} The inserted nodes.
+         */
+        insert(target, html, options) {
+            const config = Object.assign({}, policy, options);
+            const template = parse(sanitize(html, config));
+            if (config.select) {
+                const selected = template.content.querySelector(config.select);
+                const selectedNodes = !selected ? [] : config.position === 'outer' ? [selected] : Array.from(selected.childNodes);
+                template.content.replaceChildren(...selectedNodes);
+            }
+            activateScripts(template.content, config);
+
+            const fragment = document.importNode(template.content, true);
+            const nodes = Array.from(fragment.childNodes);
+            switch (config.position || 'inner') {
+                case 'outer':
+                    target.replaceWith(fragment);
+                    break;
+                case 'beforebegin':
+                    target.before(fragment);
+                    break;
+                case 'afterbegin':
+                    target.prepend(fragment);
+                    break;
+                case 'beforeend':
+                    target.append(fragment);
+                    break;
+                case 'afterend':
+                    target.after(fragment);
+                    break;
+                default:
+                    target.replaceChildren(fragment);
+            }
+            return nodes;
+        },
+        /**
+         *  Checks whether a script may run under the script policy.
+         *  @param {HTMLScriptElement} script - The script element.
+         *  @param {Object} [options] - Overrides of the policy for this call.
+         *  @returns {boolean} Whether the script may run.
+         */
+        isScriptAllowed(script, options) {
+            return isScriptAllowed(script, Object.assign({}, policy, options));
+        }
+    };
+}
+
+/**
+ *  The HTML sanitizer shared by easyAjax and ajaxModal. Configure it once for the page, e.g.
+ *  easyAjax.sanitizer.configure({ scripts: 'nonce', nonce: '{{ csp_nonce() }}' }).
+ *  @type {Object}
+ */
+easyAjax.sanitizer = createSanitizer();
+
+/**
+ *  Creates FormData from the settings for file uploads.
+ *  The fields of the form in the container, if there is one, are followed by settings.data, whose nested objects
+ *  and arrays are flattened into bracketed keys (see flattenData).
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ *  @returns {FormData} The FormData object for the request.
+ */
+function createFormData(settings) {
+    const form = getContainerForm(settings.container);
+    const formData = form ? new FormData(form) : new FormData();
+    flattenData(settings.data).forEach(([key, value]) => {
+        if (value instanceof Blob) {
+            formData.append(key, value, value.name || 'blob');
+        } else {
+            formData.append(key, value);
+        }
+    });
+    return formData;
+}
+
+/**
+ *  Serializes settings.data into the body of a non-GET request and sets the matching Content-Type header.
+ *  Multipart bodies are used for file uploads, FormData and contentType 'multipart'; URL-encoded bodies for strings,
+ *  URLSearchParams and contentType 'urlencoded'; JSON otherwise.
+ *  @param {Object} settings - Settings object from the easyAjax function.
+ *  @param {Object} headers - The request headers, which receive the Content-Type header.
+ *  @returns {FormData|string} The request body.
+ */
+function serializeBody(settings, headers) {
+    const data = settings.data;
+
+    if (settings.file || settings.contentType === 'multipart') {
+        // If the request involves file upload, use FormData to construct the request body.
+        // The browser sets the multipart Content-Type header, including the boundary
+        return createFormData(settings);
+    }
+    if (data instanceof FormData && settings.contentType !== 'urlencoded') {
+        return data;
+    }
+    if (typeof data === 'string' || data instanceof URLSearchParams || settings.contentType === 'urlencoded') {
+        // For URL-encoded data, set the content type header and use the string as the body
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        return typeof data === 'string' ? data : serializeQuery(data);
+    }
+
+    // For JSON data, set the content type header to 'application/json' and stringify the data object
+    headers['Content-Type'] = 'application/json';
+    return JSON.stringify(data);
+}
+
+/**
+ *  Serializes data into a query string, using PHP/Laravel bracket notation for nested objects and arrays
+ *  (e.g. { filter: { status: ['a', 'b'] } } becomes 'filter[status][]=a&filter[status][]=b').
+ *  @param {Object|FormData|URLSearchParams|string} data - The data to serialize.
+ *  @returns {string} The query string, without a leading '?'.
+ */
+function serializeQuery(data) {
+    if (typeof data === 'string') {
+        return data.replace(/^\?/, '');
+    }
+    const params = new URLSearchParams();
+    flattenData(data).forEach(([key, value]) => {
+        // Files cannot be sent in a query string
+        if (!(value instanceof Blob)) {
+            params.append(key, value);
+        }
+    });
+    return params.toString();
+}
+
+/**
+ *  Appends a query string to a URL.
+ *  @param {string} url - The URL.
+ *  @param {string} query - The query string, without a leading '?'.
+ *  @returns {string} The URL with the query string appended.
+ */
+function appendQueryString(url, query) {
+    if (!query) return url;
+    const [base, hash] = url.split('#');
+    const joined = base + (base.includes('?') ? '&' : '?') + query;
+    return hash !== undefined ? `${joined}#${hash}` : joined;
+}
+
+/**
+ *  Flattens data into [key, value] pairs using PHP/Laravel bracket notation.
+ *  Arrays of scalars use empty brackets ('tags[]'), arrays of objects use indexes ('items[0][qty]').
+ *  Blobs and Files are kept as they are, Dates become ISO 8601 strings, booleans become '1' and '0' (which
+ *  Laravel's boolean rule accepts), null becomes an empty string and undefined values are skipped.
+ *  @param {Object|FormData|URLSearchParams} data - The data to flatten.
+ *  @param {string} [prefix] - The key of the parent object, used while recursing.
+ *  @returns {Array<Array>} The [key, value] pairs.
+ */
+function flattenData(data, prefix) {
+    if (data instanceof FormData || data instanceof URLSearchParams) {
+        return Array.from(data.entries());
+    }
+
+    const pairs = [];
+    if (data === null || typeof data !== 'object') {
+        return pairs;
+    }
+
+    const isArray = Array.isArray(data);
+    Object.keys(data).forEach(key => {
+        const value = data[key];
+        const isNested = value !== null && typeof value === 'object' && !(value instanceof Blob) && !(value instanceof Date);
+        const name = !prefix ? key : isArray && !isNested ? `${prefix}[]` : `${prefix}[${key}]`;
+
+        if (value === undefined || typeof value === 'function') {
+            return;
+        }
+        if (isNested) {
+            pairs.push(...flattenData(value, name));
+        } else if (value instanceof Blob) {
+            pairs.push([name, value]);
+        } else if (value instanceof Date) {
+            pairs.push([name, value.toISOString()]);
+        } else if (typeof value === 'boolean') {
+            pairs.push([name, value ? '1' : '0']);
+        } else {
+            pairs.push([name, value === null ? '' : String(value)]);
+        }
+    });
+    return pairs;
+}
+
+/**
+ *  Finds the form of a container, which may be the form itself.
+ *  @param {Element} container - The container element.
+ *  @returns {HTMLFormElement|null} The form, or null if there is none.
+ */
+function getContainerForm(container) {
+    if (!(container instanceof Element)) return null;
+    return container.matches('form') ? container : container.querySelector('form');
+}
+
+/**
+ *  Asks the user to confirm an action, using SweetAlert2 when it is loaded and the native confirm dialog otherwise.
+ *  @param {string} message - The question to ask.
+ *  @param {Object} [swalOptions] - Additional options for SweetAlert2.
+ *  @returns {Promise<boolean>} A promise that resolves to true if the user confirmed.
+ */
+function confirmAction(message, swalOptions) {
+    if (typeof window.Swal !== 'undefined') {
+        return window.Swal.fire(Object.assign({
+            text: message,
+            icon: 'warning',
+            showCancelButton: true
+        }, swalOptions)).then(result => !!result.isConfirmed);
+    }
+    return Promise.resolve(window.confirm(message));
+}
+
+/**
+ *  Ids used to deduplicate submissions of declarative forms, so double clicks do not submit twice.
+ *  @type {WeakMap<HTMLFormElement, string>}
+ */
+const declarativeFormKeys = new WeakMap();
+let declarativeFormCount = 0;
+
+/**
+ *  Builds the easyAjax options for a form marked with data-easy-ajax.
+ *  Supported attributes:
+ *  - data-easy-ajax: empty, or a JSON object of additional easyAjax options.
+ *  - data-method: HTTP method, defaults to the form's method attribute.
+ *  - data-reset: reset the form after a successful submission.
+ *  - data-redirect: "false" to ignore response.url, or a URL to go to after a successful submission.
+ *  - data-confirm: a question the user must confirm before the form is submitted.
+ *  - data-target: a selector whose content is replaced with the HTML returned by the server.
+ *  @param {HTMLFormElement} form - The form being submitted.
+ *  @param {HTMLElement|null} submitter - The button that submitted the form, if any.
+ *  @returns {Object} The easyAjax options.
+ */
+function getDeclarativeFormOptions(form, submitter) {
+    const data = form.dataset;
+    const extraOptions = parseDeclarativeOptions(form);
+    const method = (data.method || form.getAttribute('method') || 'GET').toUpperCase();
+
+    if (!declarativeFormKeys.has(form)) {
+        declarativeFormKeys.set(form, `easy-ajax-form-${++declarativeFormCount}`);
+    }
+
+    const options = {
+        type: method,
+        url: form.getAttribute('action') || window.location.href,
+        container: form,
+        file: method !== 'GET' && method !== 'HEAD', // Send the form's own fields, including files
+        buttonSelector: submitter || "[type='submit']",
+        formReset: data.reset !== undefined && data.reset !== 'false',
+        redirect: data.redirect !== 'false',
+        dedupeKey: declarativeFormKeys.get(form),
+        dedupeMode: 'ignore'
+    };
+
+    // The name and value of the button that submitted the form are sent along with the fields, as the browser does
+    const submitterField = submitter && submitter.name && !submitter.disabled ? [submitter.name, submitter.value] : null;
+
+    // GET forms have no body, so their fields are sent in the query string
+    if (!options.file) {
+        options.data = new FormData(form);
+        if (submitterField) options.data.append(...submitterField);
+    } else if (submitterField) {
+        options.data = { [submitterField[0]]: submitterField[1] }; // Appended to the fields of the form
+    }
+
+    const redirectUrl = data.redirect && data.redirect !== 'true' && data.redirect !== 'false' ? data.redirect : null;
+    const target = data.target ? document.querySelector(data.target) : null;
+    const onSuccess = extraOptions.success;
+
+    Object.assign(options, extraOptions, {
+        success(response) {
+            if (target) {
+                const html = typeof response === 'string' ? response : response && response.html;
+                if (typeof html === 'string') {
+                    easyAjax.sanitizer.insert(target, html);
+                }
+            }
+            if (typeof onSuccess === 'function') {
+                onSuccess(response);
+            }
+            // Lets the surrounding page react to the submit, e.g. ajaxModal re-emits it as easymodal:submit-success
+            form.dispatchEvent(new CustomEvent('easyajax:form-success', {
+                bubbles: true,
+                detail: { form, data: response }
+            }));
+            if (redirectUrl) {
+                window.location.href = redirectUrl;
+            }
+        }
+    });
+
+    // A URL in data-redirect takes precedence over the url of the response, which handleSuccess would follow later
+    if (redirectUrl) {
+        options.redirect = false;
+    }
+    return options;
+}
+
+/**
+ *  Parses the JSON options of a data-easy-ajax attribute. Invalid JSON is reported and ignored, so the form is still
+ *  submitted with the options of its other attributes.
+ *  @param {HTMLFormElement} form - The form being submitted.
+ *  @returns {Object} The additional easyAjax options.
+ */
+function parseDeclarativeOptions(form) {
+    const json = (form.dataset.easyAjax || '').trim();
+    if (json.charAt(0) !== '{') {
+        return {};
+    }
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        console.error('easyAjax: Invalid JSON in the data-easy-ajax attribute of the form:', form, error);
+        return {};
+    }
+}
+
+/**
+ *  Asks the user to confirm the submission of a declarative form, if it has a data-confirm question.
+ *  Shared by the submit listener of the document and the forms of ajaxModal.
+ *  @param {HTMLFormElement} form - The form being submitted.
+ *  @returns {Promise<boolean>} A promise that resolves to true if the form may be submitted.
+ */
+function confirmDeclarativeForm(form) {
+    const confirmMessage = form.dataset.confirm;
+    return confirmMessage ? confirmAction(confirmMessage) : Promise.resolve(true);
+}
+
+/**
+ *  Submits forms marked with data-easy-ajax through easyAjax. The listener is delegated to the document,
+ *  so forms added later (e.g. by ajaxModal) are handled without being bound again.
+ *  @param {SubmitEvent} event - The submit event.
+ */
+function handleDeclarativeSubmit(event) {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement) || !form.hasAttribute('data-easy-ajax') || event.defaultPrevented) {
+        return;
+    }
+    event.preventDefault();
+
+    const submitter = event.submitter || null;
+
+    confirmDeclarativeForm(form).then(isConfirmed => {
+        if (isConfirmed) {
+            return easyAjax(getDeclarativeFormOptions(form, submitter)).catch(error => {
+                // Request failures are already reported by easyAjax, only errors from callbacks are left to surface
+                if (!isAjaxError(error)) throw error;
+            });
+        }
+    }).catch(error => {
+        // E.g. a failing confirmation dialog, an invalid data-target selector or a failing success callback
+        console.error('easyAjax: Could not submit the form:', form, error);
+    });
+}
+
+document.addEventListener('submit', handleDeclarativeSubmit);
+
+/**
+ *  Loader shown while content is loading, in ajaxModal and in the regions loaded by easyAjax.loadFragment().
+ *  @type {string}
+ */
+easyAjax.loaderHtml = '<div class="container-fluid d-flex justify-content-center align-items-start mt-20">\n' +
+    '    <div class="card bg-white shadow shadow-sm">\n' +
+    '        <div class="card-body" data-kt-indicator="on">\n' +
+    '        <span class="indicator-progress fw-bolder">\n' +
+    '            Please wait... <span class="spinner-border text-dark spinner-border-sm align-middle ms-2"></span>\n' +
+    '        </span>\n' +
+    '        </div>\n' +
+    '    </div>\n' +
+    '</div>';
+
+/**
+ *  How loadFragment swaps the HTML into the target, mapped to the positions of easyAjax.sanitizer.insert().
+ *  @type {Object<string, string>}
+ */
+const FRAGMENT_SWAPS = { replace: 'inner', outer: 'outer', append: 'beforeend', prepend: 'afterbegin' };
+
+/**
+ *  Keys used to cancel the previous load of a region when a new one starts, e.g. on fast pagination clicks.
+ *  @type {WeakMap<Element, string>}
+ */
+const fragmentTargetKeys = new WeakMap();
+let fragmentTargetCount = 0;
+
+/**
+ *  The load in flight for each region, holding the content the region had before the first of overlapping loads.
+ *  @type {WeakMap<Element, Object>}
+ */
+const fragmentLoads = new WeakMap();
+
+/**
+ *  Loads server-rendered HTML into a region of the page, e.g. a table body, a tab or a page of results.
+ *  The options are easyAjax options for the request, plus:
+ *  - swap: 'replace' (default) replaces the content of the target, 'outer' the target itself, 'append' and
+ *    'prepend' add to its content.
+ *  - select: selector of the part of the response to use, e.g. when the server returns the whole page.
+ *  - history: true pushes the URL onto the browser history and 'replace' replaces the current entry. Back and
+ *    forward then load the fragment of the URL again. The target must be a selector, or an element with an id.
+ *  - loader: true shows easyAjax.loaderHtml while loading, a string shows that HTML instead, false shows nothing.
+ *  - scripts: script policy for the scripts of the fragment (see easyAjax.sanitizer).
+ *  - trigger: the element that started the load, which is shown as loading.
+ *  The HTML is inserted through easyAjax.sanitizer, and the target dispatches an easyajax:fragment-loaded event.
+ *  If the request fails, the previous content is restored.
+ *  @param {string} url - URL of the fragment.
+ *  @param {string|Element} target - Selector or element of the region.
+ *  @param {Object} [options] - The options.
+ *  @returns {Promise<Node[]>} A promise resolving to the inserted nodes, with an abort() method.
+ */
+easyAjax.loadFragment = function (url, target, options) {
+    const fragmentOptions = Object.assign({
+        swap: 'replace',
+        select: null,
+        history: false,
+        loader: true,
+        scripts: null,
+        trigger: null
+    }, options);
+    const targetElement = typeof target === 'string' ? document.querySelector(target) : target;
+
+    if (!(targetElement instanceof Element)) {
+        return Promise.reject(new Error(`loadFragment: Target element not found: ${target}`));
+    }
+
+    const position = FRAGMENT_SWAPS[fragmentOptions.swap] || 'inner';
+    if (!fragmentTargetKeys.has(targetElement)) {
+        fragmentTargetKeys.set(targetElement, `easy-ajax-fragment-${++fragmentTargetCount}`);
+    }
+
+    const requestOptions = Object.assign({
+        type: 'GET',
+        url,
+        container: targetElement,
+        disableButton: fragmentOptions.trigger instanceof Element,
+        buttonSelector: fragmentOptions.trigger,
+        dataType: 'html',
+        sanitize: false, // The HTML is sanitized when it is swapped in, with the script policy of the fragment
+        redirect: false,
+        dedupeKey: fragmentTargetKeys.get(targetElement)
+    }, options);
+    ['swap', 'select', 'history', 'loader', 'scripts', 'trigger'].forEach(key => delete requestOptions[key]);
+
+    // Show the loader in place of the content, or next to it when the fragment is added to the content
+    const loaderHtml = fragmentOptions.loader === true ? easyAjax.loaderHtml : fragmentOptions.loader;
+    let loader = null;
+    let previousNodes = null;
+
+    // A load that replaces one still in flight restores the content from before that one, not its loader
+    const pendingLoad = fragmentLoads.get(targetElement);
+    const fragmentLoad = {};
+    fragmentLoads.set(targetElement, fragmentLoad);
+    const settleLoad = () => {
+        if (fragmentLoads.get(targetElement) === fragmentLoad) {
+            fragmentLoads.delete(targetElement);
+        }
+    };
+
+    if (loaderHtml) {
+        loader = document.createElement('div');
+        loader.className = 'easy-ajax-fragment-loader';
+        loader.setAttribute('role', 'status');
+        easyAjax.sanitizer.insert(loader, loaderHtml, { sanitize: false, scripts: 'none' });
+
+        if (position === 'inner' || position === 'outer') {
+            previousNodes = pendingLoad && pendingLoad.previousNodes ? pendingLoad.previousNodes
+                : Array.from(targetElement.childNodes).filter(node => !(node instanceof Element && node.matches('.easy-ajax-fragment-loader')));
+            fragmentLoad.previousNodes = previousNodes;
+            targetElement.replaceChildren(loader);
+        } else if (position === 'afterbegin') {
+            targetElement.prepend(loader);
+        } else {
+            targetElement.append(loader);
+        }
+    }
+    targetElement.setAttribute('aria-busy', 'true');
+
+    const request = easyAjax(requestOptions);
+    const promise = request.then(html => {
+        settleLoad();
+        if (loader) {
+            loader.remove();
+        }
+        targetElement.removeAttribute('aria-busy');
+
+        const insertOptions = { position, select: fragmentOptions.select };
+        if (fragmentOptions.scripts) {
+            insertOptions.scripts = fragmentOptions.scripts;
+        }
+        const nodes = easyAjax.sanitizer.insert(targetElement, typeof html === 'string' ? html : '', insertOptions);
+
+        if (fragmentOptions.history) {
+            updateFragmentHistory(url, target, fragmentOptions);
+        }
+
+        // With the 'outer' swap the target is gone, so the event is dispatched on the element that replaced it
+        const eventTarget = position === 'outer' ? nodes.find(node => node instanceof Element) || document : targetElement;
+        eventTarget.dispatchEvent(new CustomEvent('easyajax:fragment-loaded', {
+            bubbles: true,
+            detail: { url, target: eventTarget, nodes }
+        }));
+        return nodes;
+    }, error => {
+        settleLoad();
+        // Restore the previous content, unless a newer load of the region already replaced the loader
+        if (loader && loader.isConnected) {
+            if (previousNodes) {
+                targetElement.replaceChildren(...previousNodes);
+            } else {
+                loader.remove();
+            }
+            targetElement.removeAttribute('aria-busy');
+        }
+        throw error;
+    });
+
+    promise.abort = request.abort;
+    return promise;
+};
+
+/**
+ *  Records a fragment load in the browser history, so that back and forward can load it again.
+ *  The current entry is updated first, so that going back restores the fragment of the page the load started from.
+ *  @param {string} url - URL of the fragment.
+ *  @param {string|Element} target - Selector or element of the region.
+ *  @param {Object} fragmentOptions - The options of loadFragment.
+ */
+function updateFragmentHistory(url, target, fragmentOptions) {
+    const selector = typeof target === 'string' ? target : target.id ? `#${target.id}` : null;
+    if (!selector) {
+        console.warn('loadFragment: The history option requires a selector or a target with an id');
+        return;
+    }
+
+    const fragmentState = (entryUrl, swap) => ({
+        easyAjaxFragment: { url: entryUrl, target: selector, swap, select: fragmentOptions.select }
+    });
+
+    // The page the load started from holds the whole region, so going back replaces the content instead of adding
+    // the fragment to it again
+    if (!window.history.state || !window.history.state.easyAjaxFragment) {
+        const seededSwap = fragmentOptions.swap === 'outer' ? 'outer' : 'replace';
+        window.history.replaceState(Object.assign({}, window.history.state, fragmentState(window.location.href, seededSwap)), '');
+    }
+
+    if (fragmentOptions.history === 'replace') {
+        window.history.replaceState(fragmentState(url, fragmentOptions.swap), '', url);
+    } else {
+        window.history.pushState(fragmentState(url, fragmentOptions.swap), '', url);
+    }
+}
+
+/**
+ *  Loads the fragment of a history entry again when the user goes back or forward. If the region no longer
+ *  exists, the page is reloaded instead.
+ *  @param {PopStateEvent} event - The popstate event.
+ */
+function handleFragmentPopState(event) {
+    const state = event.state && event.state.easyAjaxFragment;
+    if (!state) {
+        return;
+    }
+    if (!document.querySelector(state.target)) {
+        window.location.reload();
+        return;
+    }
+
+    easyAjax.loadFragment(state.url, state.target, { swap: state.swap, select: state.select }).catch(error => {
+        if (!isAjaxError(error)) throw error;
+    });
+}
+
+/**
+ *  Loads the fragments of links marked with data-target instead of navigating. The listener is delegated to the
+ *  document, so links inside loaded fragments work as well.
+ *  Supported attributes, on an a[href] or any element with data-url:
+ *  - data-target: selector of the region to load the fragment into.
+ *  - data-swap: 'replace', 'outer', 'append' or 'prepend'.
+ *  - data-select: selector of the part of the response to use.
+ *  - data-push-url: push the URL onto the browser history, or "replace" to replace the current entry.
+ *  - data-loader: "false" to load without the loader.
+ *  Links with a Bootstrap data-toggle or data-bs-toggle keep their own behaviour.
+ *  @param {MouseEvent} event - The click event.
+ */
+function handleFragmentClick(event) {
+    const link = event.target instanceof Element ? event.target.closest('a[data-target][href], [data-target][data-url]') : null;
+    if (!link || event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+    }
+    if (link.hasAttribute('data-toggle') || link.hasAttribute('data-bs-toggle') || link.getAttribute('target') === '_blank') {
+        return;
+    }
+    event.preventDefault();
+
+    const data = link.dataset;
+    const pushUrl = data.pushUrl === undefined || data.pushUrl === 'false' ? false : data.pushUrl === 'replace' ? 'replace' : true;
+
+    easyAjax.loadFragment(data.url || link.href, data.target, {
+        swap: data.swap || 'replace',
+        select: data.select || null,
+        history: pushUrl,
+        loader: data.loader !== 'false',
+        trigger: link
+    }).catch(error => {
+        // Request failures are already reported by easyAjax, only errors from callbacks are left to surface
+        if (!isAjaxError(error)) throw error;
     });
-    return formData;
 }
+
+document.addEventListener('click', handleFragmentClick);
+window.addEventListener('popstate', handleFragmentPopState);
@@ -1,42 +1,70 @@
 'use strict';
 
+/**
+ * Opens a Bootstrap modal and loads its content from a URL.
+ *
+ * The returned controller manages the modal after it was opened:
+ * - close(result): hides the modal, settling `result` with the value unless it is undefined.
+ * - setResult(value): sets the value `result` settles with once the modal closes.
+ * - reload(url): loads the content again, from another URL if one is given.
+ * - setContent(html): replaces the content of the modal.
+ * - on(name, handler): listens to one of the modal events.
+ * - result: a promise that resolves with the result value when the modal closes (undefined if dismissed).
+ *
+ * Events are dispatched on the modal element and bubble: easymodal:loading, easymodal:loaded, easymodal:error,
+ * easymodal:submit-success and easymodal:closed. Their detail holds the controller as `modal`, and the loaded and
+ * error events the duration of the request in milliseconds. With the debug option, every event is logged.
+ *
+ * @param {string|Element|null} selector - Kept for backwards compatibility, used in error messages.
+ * @param {string} url - URL of the modal content.
+ * @param {string} size - Bootstrap size class of the modal dialog (e.g. 'modal-lg').
+ * @param {string} attr_id_value - Id of the modal element, generated if empty.
+ * @param {Function} onLoad - Called each time the content has loaded.
+ * @param {Object} options - Options of the modal (see defaults).
+ * @returns {Object|undefined} The modal controller, or undefined if the modal could not be created.
+ */
 function ajaxModal(selector, url, size, attr_id_value, onLoad, options) {
     const defaults = {
         formReset: false,
         debug: false,
-        loaderHtml: '<div class="container-fluid d-flex justify-content-center align-items-start mt-20">\n' +
-            '    <div class="card bg-white shadow shadow-sm">\n' +
-            '        <div class="card-body" data-kt-indicator="on">\n' +
-            '        <span class="indicator-progress fw-bolder">\n' +
-            '            Please wait... <span class="spinner-border text-dark spinner-border-sm align-middle ms-2"></span>\n' +
-            '        </span>\n' +
-            '        </div>\n' +
-            '    </div>\n' +
-            '</div>', // Placeholder for your loader HTML
+        loaderHtml: null, // Loader HTML, easyAjax.loaderHtml when not set
         keyboard: true, // Allow closing with the keyboard by default
-        backdrop: true // Allow closing by clicking outside by default
+        backdrop: true, // Allow closing by clicking outside by default
+        headers: {}, // Additional headers for the request of the content
+        sanitize: false, // Trust the content, true to sanitize it with easyAjax.sanitizer, or a custom sanitizer function
+        scripts: null, // Which scripts of the content run: null for the page's sanitizer policy, or 'none', 'same-origin', 'nonce' or 'all'
+        ajaxForm: false // Submit the forms in the modal through easyAjax (true, or an object with easyAjax options)
     }
 
     let opt = Object.assign({}, defaults, options);
+    if (opt.loaderHtml === null) {
+        opt.loaderHtml = typeof easyAjax === 'function' ? easyAjax.loaderHtml : '';
+    }
 
     if (opt.debug) {
         console.log('init [options]: ', opt);
     }
 
-    // Dynamically create the modal structure
-    const modalId = attr_id_value || `dynamic-modal-${new Date().getTime()}`;
-    const modalHtml = `
-        <div class="modal fade" id="${modalId}" tabindex="-1" role="dialog">
-            <div class="modal-dialog ${size}" role="document">
-                <div class="modal-content">
-                    ${opt.loaderHtml}
-                </div>
-            </div>
-        </div>
-    `;
+    // Dynamically create the modal structure, without HTML strings so that Trusted Types don't get in the way
+    const modalId = attr_id_value || nextAjaxModalId();
+    const modalRoot = document.createElement('div');
+    modalRoot.className = 'modal fade';
+    modalRoot.id = modalId;
+    modalRoot.tabIndex = -1;
+    modalRoot.setAttribute('role', 'dialog');
+
+    const modalDialog = document.createElement('div');
+    modalDialog.className = `modal-dialog ${size || ''}`.trim();
+    modalDialog.setAttribute('role', 'document');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+
+    modalDialog.appendChild(modalContent);
+    modalRoot.appendChild(modalDialog);
 
     // Append the modal structure to the body
-    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    document.body.appendChild(modalRoot);
     const modalElement = document.getElementById(modalId);
 
     if (!modalElement) {
@@ -45,87 +73,217 @@ function ajaxModal(selector, url, size, attr_id_value, onLoad, options) {
     }
 
     // Initialize Bootstrap modal with options from 'opt'
-    let modal = new bootstrap.Modal(modalElement, {
+    let modal = getModalInstance(modalElement, {
         keyboard: opt.keyboard,
-        backdrop: opt.backdrop
+        backdrop: opt.backdrop,
+        focus: false // The modal stack traps the focus, so that nested modals don't fight over it
     });
 
-    // Show the modal
-    modal.show();
+    // The URL the content is loaded from, which reload() may change
+    let currentUrl = url;
+
+    // Cancels the load in progress, when the content is reloaded or the modal closes before it arrived
+    let loadAbortController = null;
 
-    // Fetch and load content
-    fetch(url)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error('Network response was not ok');
+    // The value the result promise settles with when the modal closes
+    let resultValue;
+    let resolveResult;
+    const result = new Promise(resolve => {
+        resolveResult = resolve;
+    });
+
+    const controller = {
+        id: modalId,
+        element: modalElement,
+        modal,
+        result,
+        /**
+         * Hides the modal.
+         * @param {any} [value] - The value the result promise settles with, unless it is undefined.
+         */
+        close(value) {
+            if (value !== undefined) {
+                resultValue = value;
             }
-            return response.text();
-        })
-        .then(html => {
-            modalElement.querySelector('.modal-content').innerHTML = html;
-
-            // Find the close button within the modal content using the data-bs-dismiss attribute
-            const closeButton = modalElement.querySelector('[data-bs-dismiss="modal"]');
-
-            // If a close button is found, attach a click event listener to it
-            if (closeButton) {
-                closeButton.addEventListener('click', function() {
-                    // Use the 'modal' instance to hide the modal
-                    modal.hide();
-                });
+            abortLoad();
+            modal.hide();
+        },
+        /**
+         * Sets the value the result promise settles with once the modal closes.
+         * @param {any} value - The result value, e.g. the record saved in the modal.
+         */
+        setResult(value) {
+            resultValue = value;
+        },
+        /**
+         * Loads the content of the modal again.
+         * @param {string} [newUrl] - URL to load the content from instead of the current one.
+         * @returns {Promise<void>} A promise that resolves once the content or the error message is shown.
+         */
+        reload(newUrl) {
+            if (newUrl) {
+                currentUrl = newUrl;
             }
+            return loadContent();
+        },
+        /**
+         * Replaces the content of the modal, running its scripts and wiring its triggers.
+         * @param {string} html - The new content.
+         */
+        setContent(html) {
+            renderContent(html);
+        },
+        /**
+         * Listens to one of the modal events.
+         * @param {string} name - The event name without the 'easymodal:' prefix (e.g. 'closed').
+         * @param {Function} handler - The event listener.
+         * @returns {Object} The controller, for chaining.
+         */
+        on(name, handler) {
+            modalElement.addEventListener(`easymodal:${name}`, handler);
+            return controller;
+        }
+    };
+    ajaxModalControllers.set(modalElement, controller);
 
-            // Automatically emit an event if a form is found
-            const form = modalElement.querySelector('form');
+    /**
+     * Dispatches a modal event on the modal element.
+     * @param {string} name - The event name without the 'easymodal:' prefix.
+     * @param {Object} [detail] - Additional event details.
+     */
+    function emit(name, detail) {
+        const eventDetail = Object.assign({ modal: controller }, detail);
+        if (opt.debug) {
+            console.log(`ajaxModal ${modalId}: ${name}`, eventDetail);
+        }
+        modalElement.dispatchEvent(new CustomEvent(`easymodal:${name}`, {
+            bubbles: true,
+            detail: eventDetail
+        }));
+    }
 
-            if (form) {
-                const event = new CustomEvent('modalFormLoaded', { detail: { form: form } });
-                modalElement.dispatchEvent(event);
-            }
+    /**
+     * Replaces the content of the modal, running its scripts and wiring its close button.
+     * @param {string} html - The new content.
+     */
+    function renderContent(html) {
+        setModalHTML(modalElement.querySelector('.modal-content'), html, { sanitize: opt.sanitize, scripts: opt.scripts });
 
-            // Find and execute scripts
-            Array.from(modalElement.querySelectorAll('script')).forEach(oldScript => {
-                const newScript = document.createElement('script');
-                Array.from(oldScript.attributes).forEach(attr => newScript.setAttribute(attr.name, attr.value));
-                newScript.appendChild(document.createTextNode(oldScript.innerHTML));
-                oldScript.parentNode.replaceChild(newScript, oldScript);
+        // Find the close button within the modal content using the data-bs-dismiss attribute
+        const closeButton = modalElement.querySelector('[data-bs-dismiss="modal"]');
+
+        // If a close button is found, attach a click event listener to it
+        if (closeButton) {
+            closeButton.addEventListener('click', function() {
+                // Use the 'modal' instance to hide the modal
+                modal.hide();
             });
+        }
 
-            // Find all elements designated to trigger additional modals
-            const stackedModalTriggers = modalElement.querySelectorAll('[data-bs-stacked-modal]');
-            stackedModalTriggers.forEach(trigger => {
-                const targetModalSelector = trigger.getAttribute('data-bs-stacked-modal');
-                trigger.addEventListener('click', function() {
-                    // Prevent default action if it's an anchor tag or a similar element
-                    event.preventDefault();
+        // Automatically emit an event if a form is found
+        const form = modalElement.querySelector('form');
 
-                    // Initialize and show the targeted modal
-                    const targetModalElement = document.querySelector(targetModalSelector);
+        if (form) {
+            const event = new CustomEvent('modalFormLoaded', { detail: { form: form } });
+            modalElement.dispatchEvent(event);
+        }
 
-                    if(opt.debug) {
-                        console.log('targetModalElement:', targetModalElement)
-                    }
+        labelModal();
+    }
 
-                    if (targetModalElement) {
-                        const targetModal = new bootstrap.Modal(targetModalElement, {
-                            keyboard: opt.keyboard,
-                            backdrop: opt.backdrop
-                        });
-                        targetModal.show();
-                    }else{
-                        console.error('Target modal element not found:', targetModalSelector);
-                    }
-                });
-            });
+    /**
+     * Shows the loader and marks the modal as busy, labelled by the loader, until the content is rendered.
+     */
+    function showLoader() {
+        // The loader HTML comes from the page's own code, so it is trusted and has no scripts to run
+        setModalHTML(modalElement.querySelector('.modal-content'), `<div id="${modalId}-loader" role="status">${opt.loaderHtml}</div>`,
+            { sanitize: false, scripts: 'none' });
+        modalElement.setAttribute('aria-busy', 'true');
+        modalElement.setAttribute('aria-labelledby', `${modalId}-loader`);
+    }
 
-            if (typeof onLoad === 'function') {
-                onLoad();
-            }
-        })
-        .catch(error => {
-            console.error('Error loading modal content:', error);
-            modalElement.querySelector('.modal-content').innerHTML  = `<div class="modal-header pb-0 border-0 justify-content-between">
-                                                                            <div class="modal-title align d-flex align-items-center h3" id="Label">
+    /**
+     * Marks the modal as loaded and labels it by the title of its content, if it has one.
+     */
+    function labelModal() {
+        const title = modalElement.querySelector('.modal-title');
+
+        modalElement.removeAttribute('aria-busy');
+        if (title) {
+            title.id = title.id || `${modalId}-title`;
+            modalElement.setAttribute('aria-labelledby', title.id);
+        } else {
+            modalElement.removeAttribute('aria-labelledby');
+        }
+
+        // Move the focus to the field the content asks for, unless the user already moved it elsewhere
+        const autofocus = modalElement.querySelector('[autofocus]');
+        if (autofocus && (document.activeElement === modalElement || !modalElement.contains(document.activeElement))) {
+            autofocus.focus();
+        }
+    }
+
+    /**
+     * Cancels the load in progress, if any.
+     */
+    function abortLoad() {
+        if (loadAbortController) {
+            loadAbortController.abort();
+            loadAbortController = null;
+        }
+    }
+
+    /**
+     * Shows the loader, then fetches and renders the content from the current URL. A load started by a later reload()
+     * cancels this one, and nothing is rendered once the modal was closed and removed.
+     * @returns {Promise<void>} A promise that resolves once the content or the error message is shown.
+     */
+    function loadContent() {
+        abortLoad();
+        const abortController = new AbortController();
+        loadAbortController = abortController;
+        const isCurrentLoad = () => loadAbortController === abortController && modalElement.isConnected;
+
+        const loadUrl = currentUrl;
+        const startedAt = Date.now();
+        showLoader();
+
+        // Fetch and load content
+        // Through the transport of easyAjax when it is loaded, so that its mock adapter also serves modals
+        const init = { headers: getModalHeaders(opt.headers), signal: abortController.signal };
+        return Promise.resolve()
+            .then(() => {
+                // Emitted on a microtask, so that handlers attached with on() right after ajaxModal() receive it
+                if (isCurrentLoad()) {
+                    emit('loading', { url: loadUrl });
+                }
+                return typeof easyAjax === 'function' ? easyAjax.fetch(loadUrl, init) : fetch(loadUrl, init);
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Network response was not ok');
+                }
+                return response.text();
+            })
+            .then(html => {
+                if (!isCurrentLoad()) {
+                    return;
+                }
+                renderContent(html);
+                emit('loaded', { url: loadUrl, duration: Date.now() - startedAt });
+
+                if (typeof onLoad === 'function') {
+                    onLoad(controller);
+                }
+            })
+            .catch(error => {
+                // The load was replaced by a newer one, or the modal was closed in the meantime
+                if (!isCurrentLoad()) {
+                    return;
+                }
+                console.error('Error loading modal content:', error);
+                setModalHTML(modalElement.querySelector('.modal-content'), `<div class="modal-header pb-0 border-0 justify-content-between">
+                                                                            <div class="modal-title align d-flex align-items-center h3">
                                                                                 <i class="ki-duotone ki-information fs-2x me-2 text-info">
                                                                                  <span class="path1"></span>
                                                                                  <span class="path2"></span>
@@ -143,27 +301,543 @@ function ajaxModal(selector, url, size, attr_id_value, onLoad, options) {
                                                                             <p class="text-center my-5">
                                                                                 <b>Error loading content:</b>
                                                                                 <br>
-                                                                                ${error}
+                                                                                ${escapeModalHTML(String(error))}
                                                                             </p>
-                                                                        </div>`;
+                                                                        </div>`, { sanitize: false, scripts: 'none' });
+                labelModal();
+                emit('error', { url: loadUrl, error, duration: Date.now() - startedAt });
+            });
+    }
+
+    // Elements designated to trigger additional modals open them on top of this one. data-bs-stacked-modal holds the
+    // selector of a modal on the page, or a data-url attribute (or the href of a link) holds the URL of remote content.
+    modalElement.addEventListener('click', function (event) {
+        const trigger = event.target.closest('[data-bs-stacked-modal]');
+        if (!trigger || !modalElement.contains(trigger)) {
+            return;
+        }
+
+        // Prevent default action if it's an anchor tag or a similar element
+        event.preventDefault();
+
+        const targetModalSelector = trigger.getAttribute('data-bs-stacked-modal');
+        const remoteUrl = trigger.getAttribute('data-url') || (!targetModalSelector && trigger.getAttribute('href'));
+
+        if (remoteUrl) {
+            ajaxModal(null, remoteUrl, trigger.getAttribute('data-size') || size, null, null, opt);
+            return;
+        }
+
+        const targetModalElement = targetModalSelector ? document.querySelector(targetModalSelector) : null;
+
+        if (opt.debug) {
+            console.log('targetModalElement:', targetModalElement);
+        }
+
+        if (targetModalElement) {
+            const targetModal = getModalInstance(targetModalElement, {
+                keyboard: opt.keyboard,
+                backdrop: opt.backdrop,
+                focus: false // The modal stack traps the focus of nested modals
+            });
+            ajaxModalStack.open(targetModalElement, () => targetModal.show());
+        } else {
+            console.error('Target modal element not found:', targetModalSelector);
+        }
+    });
+
+    // With ajaxForm, forms in the modal are submitted through easyAjax instead of reloading the page
+    modalElement.addEventListener('submit', function (event) {
+        const form = event.target;
+        if (!opt.ajaxForm || !(form instanceof HTMLFormElement) || event.defaultPrevented) {
+            return;
+        }
+        if (typeof easyAjax !== 'function') {
+            console.warn('ajaxModal: The ajaxForm option requires easy-fetch.js');
+            return;
+        }
+        event.preventDefault();
+        submitModalForm(form, event.submitter).catch(error => {
+            console.error('ajaxModal: Could not submit the form:', form, error);
+        });
+    });
+
+    /**
+     * Submits a form of the modal through easyAjax. Validation errors are rendered inside the modal. On success, the
+     * modal is re-rendered when the response is HTML (e.g. the next step of a wizard), and is closed otherwise, with
+     * the response as its result.
+     * @param {HTMLFormElement} form - The submitted form.
+     * @param {HTMLElement|null} submitter - The button that submitted the form.
+     * @returns {Promise} A promise that settles once the form was sent, or the user did not confirm it.
+     */
+    function submitModalForm(form, submitter) {
+        // Forms with a data-confirm question are only sent once the user confirmed, as outside of modals
+        return confirmDeclarativeForm(form).then(isConfirmed => {
+            if (!isConfirmed) {
+                return;
+            }
+
+            const formOptions = typeof opt.ajaxForm === 'object' ? opt.ajaxForm : {};
+            const declarativeOptions = getDeclarativeFormOptions(form, submitter);
+            const declarativeSuccess = declarativeOptions.success;
+            const options = Object.assign(declarativeOptions, formOptions);
+
+            delete options.refresh;
+            delete options.closeOnSuccess;
+
+            // HTML responses are sanitized when they are rendered, with the sanitizer options of the modal
+            if (formOptions.sanitize === undefined) {
+                options.sanitize = false;
+            }
+
+            // The fields are read from the form of the container, so only use the modal when the form is its only one
+            options.container = modalElement.querySelectorAll('form').length > 1 ? form : modalElement;
+            options.success = function (response) {
+                declarativeSuccess(response);
+                if (typeof formOptions.success === 'function') {
+                    formOptions.success(response);
+                }
+
+                // The response is the result of the modal, unless a closeModal action of the response sets another one
+                if (formOptions.closeOnSuccess !== false && typeof response !== 'string') {
+                    controller.setResult(response);
+                }
+
+                // easyAjax handles the message, redirect and actions of the response right after this callback, so the
+                // modal is updated once they ran
+                Promise.resolve().then(() => finishSubmit(response, options.url));
+            };
+
+            return easyAjax(options).catch(error => {
+                // Errors were shown by easyAjax, including the validation errors inside the modal
+                if (!isAjaxError(error)) {
+                    throw error;
+                }
+            });
         });
+    }
+
+    /**
+     * Updates the modal after a successful submit of one of its forms.
+     * @param {any} response - The response of the form.
+     * @param {string} formUrl - The URL the form was submitted to.
+     */
+    function finishSubmit(response, formUrl) {
+        const formOptions = typeof opt.ajaxForm === 'object' ? opt.ajaxForm : {};
+
+        // An HTML response replaces the content of the modal, e.g. with the next step of a wizard
+        if (typeof response === 'string') {
+            renderContent(response);
+            emit('loaded', { url: formUrl });
+            return;
+        }
+
+        refreshTarget(formOptions.refresh, response);
+
+        // Unless a closeModal action of the response already started hiding the modal
+        if (formOptions.closeOnSuccess !== false && modalElement.classList.contains('show')) {
+            controller.close();
+        }
+    }
+
+    /**
+     * Refreshes the region of the page that shows what the form of the modal changed.
+     * @param {string|Element|Function|undefined} refresh - Selector or element to fill with the html of the response,
+     *  or a function called with the response (e.g. () => table.ajax.reload()).
+     * @param {any} response - The response of the form.
+     */
+    function refreshTarget(refresh, response) {
+        if (typeof refresh === 'function') {
+            refresh(response);
+            return;
+        }
+
+        const target = typeof refresh === 'string' ? document.querySelector(refresh) : refresh;
+        if (target instanceof Element && response && typeof response.html === 'string') {
+            easyAjax.sanitizer.insert(target, response.html);
+        }
+    }
+
+    // Forms submitted through easyAjax's declarative layer report their success to the modal
+    modalElement.addEventListener('easyajax:form-success', function (event) {
+        emit('submit-success', { form: event.detail.form, data: event.detail.data });
+    });
 
     // Reset modal when it hides
-    modalElement.addEventListener('hidden.bs.modal', function () {
+    modalElement.addEventListener('hidden.bs.modal', function (event) {
+        // Ignore the events of modals placed inside the content, which bubble up to this one
+        if (event.target !== modalElement) {
+            return;
+        }
+
         // Automatically emit an event if a form is found
         const form = modalElement.querySelector('form');
 
+        abortLoad();
+        emit('closed', { result: resultValue });
+        resolveResult(resultValue);
+
         modalElement.innerHTML = '';
         if (opt.formReset && form) {
             form.reset();
         }
 
+        ajaxModalControllers.delete(modalElement);
         modalElement.remove();
     });
 
+    // Show the modal on top of the modals that are already open
+    ajaxModalStack.open(modalElement, () => modal.show());
+
+    loadContent();
+
+    return controller;
+}
+
+/**
+ * Modal instances used when Bootstrap is not loaded, keyed by their modal element.
+ * @type {WeakMap<Element, Object>}
+ */
+const fallbackModals = new WeakMap();
+
+/**
+ * Returns the Bootstrap modal instance of an element, creating it if needed. Without Bootstrap (e.g. in tests), a
+ * minimal modal is used instead. It shows and hides the element and dispatches the same events, without a backdrop.
+ * @param {Element} element - The modal element.
+ * @param {Object} config - The Bootstrap modal options: keyboard, backdrop and focus.
+ * @returns {Object} The modal instance, with show() and hide() methods.
+ */
+function getModalInstance(element, config) {
+    if (typeof bootstrap !== 'undefined' && bootstrap.Modal) {
+        // getOrCreateInstance() only exists since Bootstrap 5.1
+        return bootstrap.Modal.getInstance(element) || new bootstrap.Modal(element, config);
+    }
+    if (!fallbackModals.has(element)) {
+        fallbackModals.set(element, createFallbackModal(element, config));
+    }
+    return fallbackModals.get(element);
+}
+
+/**
+ * Creates a minimal modal for pages without Bootstrap.
+ * @param {Element} element - The modal element.
+ * @param {Object} config - The modal options: keyboard.
+ * @returns {Object} The modal instance, with show() and hide() methods.
+ */
+function createFallbackModal(element, config) {
+    let shown = false;
+
+    const dispatch = name => element.dispatchEvent(new CustomEvent(name, { bubbles: true }));
+    const onKeydown = event => {
+        if (event.key === 'Escape' && config.keyboard !== false) {
+            instance.hide();
+        }
+    };
+    const onClick = event => {
+        const dismiss = event.target instanceof Element ? event.target.closest('[data-bs-dismiss="modal"]') : null;
+        if (dismiss && element.contains(dismiss)) {
+            instance.hide();
+        }
+    };
+
+    const instance = {
+        show() {
+            if (shown) {
+                return;
+            }
+            shown = true;
+            dispatch('show.bs.modal');
+            element.style.display = 'block';
+            element.removeAttribute('aria-hidden');
+            element.setAttribute('aria-modal', 'true');
+            element.classList.add('show');
+            document.body.classList.add('modal-open');
+            element.addEventListener('keydown', onKeydown);
+            element.addEventListener('click', onClick);
+            dispatch('shown.bs.modal');
+        },
+        hide() {
+            if (!shown) {
+                return;
+            }
+            shown = false;
+            dispatch('hide.bs.modal');
+            element.classList.remove('show');
+            element.style.display = 'none';
+            element.setAttribute('aria-hidden', 'true');
+            element.removeAttribute('aria-modal');
+            element.removeEventListener('keydown', onKeydown);
+            element.removeEventListener('click', onClick);
+            if (!document.querySelector('.modal.show')) {
+                document.body.classList.remove('modal-open');
+            }
+            dispatch('hidden.bs.modal');
+        }
+    };
+    return instance;
+}
+
+/**
+ * Sets the HTML of an element of the modal through easyAjax.sanitizer, which runs the scripts its script policy
+ * allows. Without easy-fetch.js, the HTML is set as is and all its scripts run.
+ * @param {Element} element - The element whose content is replaced.
+ * @param {string} html - The new content.
+ * @param {Object} options - Sanitizer options: sanitize and scripts.
+ */
+function setModalHTML(element, html, options) {
+    if (typeof easyAjax === 'function' && easyAjax.sanitizer) {
+        const overrides = { sanitize: options.sanitize };
+        if (options.scripts) {
+            overrides.scripts = options.scripts;
+        }
+        easyAjax.sanitizer.insert(element, html, overrides);
+        return;
+    }
+
+    element.innerHTML = html;
+    if (options.scripts === 'none') {
+        return;
+    }
+
+    // Find and execute scripts
+    Array.from(element.querySelectorAll('script')).forEach(oldScript => {
+        const newScript = document.createElement('script');
+        Array.from(oldScript.attributes).forEach(attr => newScript.setAttribute(attr.name, attr.value));
+        newScript.appendChild(document.createTextNode(oldScript.innerHTML));
+        oldScript.parentNode.replaceChild(newScript, oldScript);
+    });
+}
+
+/**
+ * Escapes text for use in the HTML of a modal.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeModalHTML(text) {
+    const element = document.createElement('div');
+    element.textContent = text;
+    return element.innerHTML;
+}
+
+/**
+ * Returns the headers for the request of the modal content, so that Laravel treats it as an AJAX request like the
+ * requests of easyAjax.
+ * @param {Object} [headers] - Additional headers, which take precedence.
+ * @returns {Object} The request headers.
+ */
+function getModalHeaders(headers) {
+    const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+    const defaults = { 'X-Requested-With': 'XMLHttpRequest' };
+
+    if (csrfMeta) {
+        defaults['X-CSRF-TOKEN'] = csrfMeta.getAttribute('content');
+    }
+
+    return Object.assign(defaults, headers);
+}
+
+/**
+ * Number of modals created by ajaxModal, used to generate their ids.
+ * @type {number}
+ */
+let ajaxModalCount = 0;
+
+/**
+ * Generates an id for a modal that no other element on the page uses.
+ * @returns {string} The modal id.
+ */
+function nextAjaxModalId() {
+    let id;
+    do {
+        id = `dynamic-modal-${++ajaxModalCount}`;
+    } while (document.getElementById(id));
+    return id;
+}
+
+/**
+ * Elements that can receive the focus when tabbing through a modal.
+ * @type {string}
+ */
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+    'select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable="true"], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Creates the stack of open modals. Every modal opened on top of another one gets a higher z-index, and so does its
+ * backdrop, so that it covers the modals below it. The focus is trapped inside the topmost modal and is restored to
+ * the element that opened a modal once it closes.
+ * @param {Object} [config] - The z-index of the first modal and backdrop, and the step between two levels.
+ * @returns {Object} The modal stack.
+ */
+function createModalStack(config) {
+    const settings = Object.assign({ zIndex: 1055, backdropZIndex: 1050, step: 20 }, config);
+    const entries = []; // { element, opener }
+
+    /**
+     * Returns the elements of a modal that can receive the focus.
+     * @param {Element} element - The modal element.
+     * @returns {Element[]} The focusable elements, in tab order.
+     */
+    function getFocusable(element) {
+        return Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(item => !item.closest('[hidden], [inert]') && item.getClientRects().length > 0);
+    }
+
+    // Pulls the focus back into the topmost modal when it moves outside of it
+    function handleFocusIn(event) {
+        const top = entries.length ? entries[entries.length - 1].element : null;
+        if (top && !top.contains(event.target)) {
+            (getFocusable(top)[0] || top).focus();
+        }
+    }
+
+    // Keeps tabbing inside the topmost modal by wrapping around from its last to its first focusable element
+    function handleKeydown(event) {
+        const top = entries.length ? entries[entries.length - 1].element : null;
+        if (!top || event.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = getFocusable(top);
+        if (!focusable.length) {
+            event.preventDefault();
+            top.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || document.activeElement === top)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !top.contains(document.activeElement))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Removes a modal from the stack once it is hidden, restoring the focus to the element that opened it.
+     * @param {Element} element - The modal element.
+     */
+    function remove(element) {
+        const index = entries.findIndex(entry => entry.element === element);
+        if (index === -1) {
+            return;
+        }
+
+        const [entry] = entries.splice(index, 1);
+        element.style.zIndex = '';
+
+        if (entries.length) {
+            // Bootstrap removes the scroll lock when any modal hides, while the modals below are still open
+            document.body.classList.add('modal-open');
+        } else {
+            document.removeEventListener('focusin', handleFocusIn);
+            document.removeEventListener('keydown', handleKeydown);
+        }
+
+        if (entry.opener && entry.opener.isConnected && typeof entry.opener.focus === 'function') {
+            entry.opener.focus();
+        }
+    }
+
+    return {
+        /**
+         * Opens a modal on top of the stack.
+         * @param {Element} element - The modal element.
+         * @param {Function} show - Shows the modal, e.g. () => modal.show().
+         */
+        open(element, show) {
+            if (entries.some(entry => entry.element === element)) {
+                return;
+            }
+
+            const depth = entries.length;
+            entries.push({ element, opener: document.activeElement });
+
+            if (depth === 0) {
+                document.addEventListener('focusin', handleFocusIn);
+                document.addEventListener('keydown', handleKeydown);
+            }
+
+            element.style.zIndex = depth ? String(settings.zIndex + depth * settings.step) : '';
+            // Events of modals placed inside this one bubble up to it, so only its own events count
+            const onShown = event => {
+                if (event.target === element) {
+                    element.removeEventListener('shown.bs.modal', onShown);
+                    if (!element.contains(document.activeElement)) {
+                        element.focus();
+                    }
+                }
+            };
+            const onHidden = event => {
+                if (event.target === element) {
+                    element.removeEventListener('hidden.bs.modal', onHidden);
+                    remove(element);
+                }
+            };
+            element.addEventListener('shown.bs.modal', onShown);
+            element.addEventListener('hidden.bs.modal', onHidden);
+
+            show();
+
+            // Bootstrap appends the backdrop of the modal synchronously when showing it
+            const backdrops = document.querySelectorAll('.modal-backdrop');
+            const backdrop = backdrops[backdrops.length - 1];
+            if (depth && backdrop) {
+                backdrop.style.zIndex = String(settings.backdropZIndex + depth * settings.step);
+            }
+        },
+        /**
+         * Returns the topmost open modal.
+         * @returns {Element|null} The modal element, or null if no modal is open.
+         */
+        top() {
+            return entries.length ? entries[entries.length - 1].element : null;
+        },
+        /**
+         * Returns the number of open modals.
+         * @returns {number} The number of modals in the stack.
+         */
+        size() {
+            return entries.length;
+        }
+    };
+}
+
+/**
+ * The stack of the modals opened by ajaxModal and its stacked modal triggers.
+ * @type {Object}
+ */
+const ajaxModalStack = createModalStack();
+
+/**
+ * Controllers of the open ajaxModal modals, keyed by their modal element.
+ * @type {WeakMap<Element, Object>}
+ */
+const ajaxModalControllers = new WeakMap();
+
+/**
+ * Finds the controller of the ajaxModal an element belongs to, e.g. from a script inside the modal content:
+ * getAjaxModal(document.currentScript).close(record).
+ * @param {Element} element - The modal element or any element inside it.
+ * @returns {Object|null} The modal controller, or null if the element is not inside an ajaxModal.
+ */
+function getAjaxModal(element) {
+    const modalElement = element instanceof Element ? element.closest('.modal') : null;
+    return modalElement ? ajaxModalControllers.get(modalElement) || null : null;
 }
 
-function closeModal(modal) {
+/**
+ * Closes a modal.
+ * @param {Object} modal - A Bootstrap modal instance or an ajaxModal controller.
+ * @param {any} [result] - The value the result of an ajaxModal controller settles with.
+ */
+function closeModal(modal, result) {
+    if (typeof modal.close === 'function') {
+        modal.close(result);
+        return;
+    }
     modal.hide();
 }
 
@@ -183,3 +857,6 @@ function closeModal(modal) {
 //ajaxModal('#modalSelector', 'url-to-load-content', 'modal-lg', 'customModalId', function() {
     //console.log('Modal content loaded');
 //}, modalOptions);
+
+// Wait for the record created in the modal
+//const record = await ajaxModal(null, '/customers/create', 'modal-lg').result;